@@ -1,5 +1,6 @@
 require('dotenv').config();
 const { Pool } = require('pg');
+const { logInfo } = require('../utils/logger');
 
 // Database configuration from environment variables
 const dbConfig = {
@@ -21,7 +22,7 @@ const pool = new Pool(dbConfig);
 
 // Test the connection
 pool.on('connect', () => {
-  console.log('Connected to PostgreSQL database');
+  logInfo('Connected to PostgreSQL database');
 });
 
 pool.on('error', (err) => {
@@ -35,7 +36,7 @@ const query = async (text, params) => {
   try {
     const res = await pool.query(text, params);
     const duration = Date.now() - start;
-    console.log('Executed query', { text, duration, rows: res.rowCount });
+    logInfo('Executed query', { text, duration, rows: res.rowCount });
     return res;
   } catch (error) {
     console.error('Database query error:', error);
@@ -0,0 +1,199 @@
+/**
+ * Compare stored files with parsedResume.file_path
+ * Usage: npm run check-storage -- [--delete-orphans] [--mark-missing] [--min-age=<minutes>]
+ *
+ * Reports files in the upload directories that no resume points at (left behind by failed
+ * parses, duplicate rejections and deletions) and resumes whose file is gone.
+ *   --delete-orphans  Delete the orphaned files
+ *   --mark-missing    Set file_missing_at on resumes whose file is gone (and clear it when
+ *                     the file is back)
+ *   --min-age         Ignore files modified in the last N minutes (default: 60), so uploads
+ *                     that have not been queued yet are not treated as orphans
+ */
+
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const { pool, query } = require('../config/database');
+const { UPLOADS_DIR, LOCAL_STORAGE_DIR, getStorageFor } = require('../storage');
+
+/**
+ * Read the command-line flags
+ */
+function parseArgs(argv) {
+  const options = { deleteOrphans: false, markMissing: false, minAgeMinutes: 60 };
+
+  for (const arg of argv) {
+    if (arg === '--delete-orphans') {
+      options.deleteOrphans = true;
+    } else if (arg === '--mark-missing') {
+      options.markMissing = true;
+    } else if (arg.startsWith('--min-age=')) {
+      const minutes = Number(arg.slice('--min-age='.length));
+      if (!Number.isFinite(minutes) || minutes < 0) {
+        throw new Error(`Invalid --min-age value '${arg.slice('--min-age='.length)}'`);
+      }
+      options.minAgeMinutes = minutes;
+    } else {
+      throw new Error(`Unknown option '${arg}'`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * List every file under a directory, recursively
+ * @returns {Promise<Array<string>>} Absolute file paths (empty if the directory does not exist)
+ */
+async function listFiles(dir) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(fullPath));
+    } else if (entry.isFile()) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Find orphaned files and resumes with missing files
+ * @param {Object} options - Parsed flags
+ * @returns {Promise<Object>} Orphaned files, resumes with missing files, marked resumes whose
+ *                            file is back, and scan counts
+ */
+async function checkStorage(options) {
+  const resumes = await query(
+    `SELECT id, filename, file_path, file_missing_at FROM "parsedResume"
+     WHERE file_path IS NOT NULL
+     ORDER BY id`
+  );
+
+  // Files of jobs that have not run yet are still needed
+  const pendingJobs = await query(
+    `SELECT file_path FROM parse_jobs WHERE status IN ('queued', 'running')`
+  );
+
+  const referenced = new Set();
+  resumes.rows.forEach(row => referenced.add(path.resolve(row.file_path)));
+  pendingJobs.rows.forEach(row => referenced.add(path.resolve(row.file_path)));
+
+  const directories = [...new Set([UPLOADS_DIR, LOCAL_STORAGE_DIR].map(dir => path.resolve(dir)))];
+  const cutoff = Date.now() - options.minAgeMinutes * 60 * 1000;
+  const orphanedFiles = [];
+  let skippedRecent = 0;
+  let scannedFiles = 0;
+
+  for (const dir of directories) {
+    for (const file of await listFiles(dir)) {
+      scannedFiles++;
+      if (referenced.has(file)) {
+        continue;
+      }
+      const stat = await fs.stat(file);
+      if (stat.mtimeMs > cutoff) {
+        skippedRecent++;
+        continue;
+      }
+      orphanedFiles.push({ path: file, size: stat.size, modifiedAt: stat.mtime });
+    }
+  }
+
+  const missingFiles = [];
+  const presentButMarked = [];
+  for (const row of resumes.rows) {
+    const exists = await getStorageFor(row.file_path).exists(row.file_path);
+    if (!exists) {
+      missingFiles.push(row);
+    } else if (row.file_missing_at) {
+      presentButMarked.push(row);
+    }
+  }
+
+  return {
+    orphanedFiles,
+    missingFiles,
+    presentButMarked,
+    skippedRecent,
+    scannedFiles,
+    checkedResumes: resumes.rows.length,
+  };
+}
+
+async function main() {
+  let exitCode = 0;
+
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const report = await checkStorage(options);
+
+    console.log(`\n🔍 Scanned ${report.scannedFiles} file(s) and ${report.checkedResumes} resume(s)`);
+    if (report.skippedRecent > 0) {
+      console.log(`   Skipped ${report.skippedRecent} file(s) newer than ${options.minAgeMinutes} minute(s)`);
+    }
+
+    console.log(`\n📁 Orphaned files (no resume points at them): ${report.orphanedFiles.length}`);
+    report.orphanedFiles.forEach(file => {
+      console.log(`   ${file.path} (${(file.size / 1024).toFixed(1)} KB, modified ${file.modifiedAt.toISOString()})`);
+    });
+
+    console.log(`\n📄 Resumes whose file is missing: ${report.missingFiles.length}`);
+    report.missingFiles.forEach(row => {
+      const marked = row.file_missing_at ? ' [marked]' : '';
+      console.log(`   #${row.id} ${row.filename} -> ${row.file_path}${marked}`);
+    });
+
+    if (options.deleteOrphans && report.orphanedFiles.length > 0) {
+      let deleted = 0;
+      for (const file of report.orphanedFiles) {
+        try {
+          await fs.unlink(file.path);
+          deleted++;
+        } catch (error) {
+          console.error(`   Could not delete ${file.path}: ${error.message}`);
+        }
+      }
+      console.log(`\n🗑️  Deleted ${deleted} orphaned file(s)`);
+    }
+
+    if (options.markMissing) {
+      const marked = await query(
+        `UPDATE "parsedResume" SET file_missing_at = NOW()
+         WHERE id = ANY($1::integer[]) AND file_missing_at IS NULL`,
+        [report.missingFiles.map(row => row.id)]
+      );
+      const cleared = await query(
+        'UPDATE "parsedResume" SET file_missing_at = NULL WHERE id = ANY($1::integer[])',
+        [report.presentButMarked.map(row => row.id)]
+      );
+      console.log(`\n🏷️  Marked ${marked.rowCount} resume(s) as missing their file, cleared ${cleared.rowCount}`);
+    }
+
+    if (!options.deleteOrphans && !options.markMissing
+        && (report.orphanedFiles.length > 0 || report.missingFiles.length > 0)) {
+      console.log('\nRun with --delete-orphans and/or --mark-missing to fix these.');
+    }
+    console.log('');
+  } catch (error) {
+    console.error('\n❌ Error:', error.message);
+    exitCode = 1;
+  } finally {
+    await pool.end();
+    process.exit(exitCode);
+  }
+}
+
+main();
@@ -0,0 +1,99 @@
+/**
+ * Export resumes as CSV or NDJSON
+ * Usage: npm run export -- [--format=csv|ndjson] [--output=<file>] [--include-text] [filters]
+ *
+ * Filters are the list endpoint's query parameters as flags, e.g.
+ *   npm run export -- --format=ndjson --parser=pdfjs-dist --uploadedAfter=2024-01-01 --output=resumes.ndjson
+ * Without --output the export is written to stdout.
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { setLogStream } = require('../utils/logger');
+const { pool } = require('../config/database');
+const { parseListFilters } = require('../services/resumeService');
+const { BULK_EXPORT_FORMATS, exportResumes } = require('../services/exportService');
+
+const FILTER_FLAGS = [
+  'parser', 'minPages', 'maxPages', 'minSize', 'maxSize', 'minExperience', 'maxExperience',
+  'uploadedAfter', 'uploadedBefore',
+];
+
+/**
+ * Read the command-line flags
+ */
+function parseArgs(argv) {
+  const options = { format: 'csv', output: null, includeText: false };
+  const filterValues = {};
+
+  for (const arg of argv) {
+    const [flag, ...rest] = arg.replace(/^--/, '').split('=');
+    const value = rest.join('=');
+
+    if (flag === 'include-text' && !value) {
+      options.includeText = true;
+    } else if (flag === 'format' && value) {
+      options.format = value;
+    } else if (flag === 'output' && value) {
+      options.output = value;
+    } else if (FILTER_FLAGS.includes(flag) && value) {
+      filterValues[flag] = value;
+    } else {
+      throw new Error(`Unknown option '${arg}'`);
+    }
+  }
+
+  if (!BULK_EXPORT_FORMATS.includes(options.format)) {
+    throw new Error(`Unknown export format '${options.format}' (expected one of: ${BULK_EXPORT_FORMATS.join(', ')})`);
+  }
+
+  const { filters, error } = parseListFilters(filterValues);
+  if (error) {
+    throw new Error(error);
+  }
+
+  return { ...options, filters };
+}
+
+async function main() {
+  let exitCode = 0;
+
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    // Keep stdout for the export itself; database and progress logs go to stderr
+    if (!options.output) {
+      setLogStream(process.stderr);
+    }
+    const output = options.output ? fs.createWriteStream(options.output) : process.stdout;
+
+    let count = 0;
+    async function* countLines(lines) {
+      for await (const line of lines) {
+        count++;
+        yield line;
+      }
+    }
+
+    await pipeline(
+      Readable.from(countLines(exportResumes(options.format, options.filters, options))),
+      output,
+      { end: output !== process.stdout }
+    );
+
+    // The CSV header is a line too
+    const rows = options.format === 'csv' ? count - 1 : count;
+    console.error(`✅ Exported ${rows} resume(s) as ${options.format.toUpperCase()}${options.output ? ` to ${options.output}` : ''}`);
+  } catch (error) {
+    console.error('\n❌ Error:', error.message);
+    exitCode = 1;
+  } finally {
+    await pool.end();
+    // Let piped stdout drain instead of exiting immediately
+    process.exitCode = exitCode;
+  }
+}
+
+main();
@@ -1,4 +1,9 @@
 const { pool } = require('../config/database');
+const fs = require('fs');
+const { computeMinHash, getBandHashes } = require('../utils/fingerprint');
+const { documentTermWeights } = require('../utils/termVector');
+const { generateFileHash, generateNormalizedHash } = require('../parsers/allParsers');
+const { normalizeDateRange, totalMonths, monthsToYears } = require('../parsers/dateParser');
 
 /**
  * Initialize database table for parsed resumes
@@ -41,11 +46,326 @@ async function initDatabase() {
 
     console.log('✓ Indexes created');
 
+    // Set by the storage check command when a resume's original file is gone
+    await client.query(`
+      ALTER TABLE "parsedResume" ADD COLUMN IF NOT EXISTS file_missing_at TIMESTAMP
+    `);
+
+    // File and normalized-text hashes, checked alongside content_hash for exact duplicates
+    console.log('Adding duplicate-detection hashes...');
+    await client.query(`
+      ALTER TABLE "parsedResume" ADD COLUMN IF NOT EXISTS file_hash VARCHAR(64);
+      ALTER TABLE "parsedResume" ADD COLUMN IF NOT EXISTS normalized_hash VARCHAR(64);
+      CREATE INDEX IF NOT EXISTS idx_parsed_resume_file_hash ON "parsedResume"(file_hash);
+      CREATE INDEX IF NOT EXISTS idx_parsed_resume_normalized_hash ON "parsedResume"(normalized_hash);
+    `);
+
+    // Existing rows get a file hash only if their original file is still on disk
+    let hashed = 0;
+    let lastHashedId = 0;
+    while (true) {
+      const batch = await client.query(
+        `SELECT id, file_path, raw_text FROM "parsedResume"
+         WHERE normalized_hash IS NULL AND id > $1
+         ORDER BY id
+         LIMIT 500`,
+        [lastHashedId]
+      );
+      if (batch.rows.length === 0) {
+        break;
+      }
+      for (const row of batch.rows) {
+        const fileHash = row.file_path && fs.existsSync(row.file_path)
+          ? await generateFileHash(row.file_path)
+          : null;
+        await client.query(
+          `UPDATE "parsedResume"
+           SET file_hash = COALESCE(file_hash, $2), normalized_hash = $3
+           WHERE id = $1`,
+          [row.id, fileHash, generateNormalizedHash(row.raw_text)]
+        );
+        hashed++;
+      }
+      lastHashedId = batch.rows[batch.rows.length - 1].id;
+    }
+
+    console.log(`✓ Duplicate-detection hashes added (${hashed} existing resume(s) hashed)`);
+
+    // Total non-overlapping work experience, for tenure filters
+    console.log('Adding experience totals...');
+    await client.query(`
+      ALTER TABLE "parsedResume" ADD COLUMN IF NOT EXISTS experience_months INTEGER;
+      CREATE INDEX IF NOT EXISTS idx_parsed_resume_experience ON "parsedResume"(experience_months);
+    `);
+
+    // Resumes parsed before date normalization get ISO dates, durations and totals from
+    // their stored date text
+    let normalized = 0;
+    let lastNormalizedId = 0;
+    while (true) {
+      const batch = await client.query(
+        `SELECT id, parsed_data->'structured'->'experience' AS experience FROM "parsedResume"
+         WHERE id > $1
+           AND jsonb_typeof(parsed_data->'structured'->'experience') = 'array'
+           AND NOT (parsed_data->'structured' ? 'totalExperienceMonths')
+         ORDER BY id
+         LIMIT 500`,
+        [lastNormalizedId]
+      );
+      if (batch.rows.length === 0) {
+        break;
+      }
+      for (const row of batch.rows) {
+        const experience = row.experience.map(entry => ({ ...entry, ...normalizeDateRange(entry.dates) }));
+        const months = totalMonths(experience.map(entry => entry.dates));
+        await client.query(
+          `UPDATE "parsedResume"
+           SET experience_months = $2,
+               parsed_data = jsonb_set(parsed_data, '{structured}', parsed_data->'structured' || $3::jsonb)
+           WHERE id = $1`,
+          [row.id, months, JSON.stringify({
+            experience,
+            totalExperienceMonths: months,
+            totalExperienceYears: monthsToYears(months),
+          })]
+        );
+        normalized++;
+      }
+      lastNormalizedId = batch.rows[batch.rows.length - 1].id;
+    }
+
+    console.log(`✓ Experience totals added (${normalized} existing resume(s) updated)`);
+
+    // Full-text search vector, kept in sync with raw_text by Postgres on every insert and update
+    console.log('Creating full-text search index...');
+    await client.query(`
+      ALTER TABLE "parsedResume"
+      ADD COLUMN IF NOT EXISTS search_vector tsvector
+      GENERATED ALWAYS AS (to_tsvector('english', COALESCE(raw_text, ''))) STORED
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_parsed_resume_search ON "parsedResume" USING GIN(search_vector);
+    `);
+
+    console.log('✓ Full-text search index created');
+
+    // MinHash signature and LSH band buckets for near-duplicate detection
+    console.log('Adding similarity fingerprints...');
+    await client.query(`
+      ALTER TABLE "parsedResume" ADD COLUMN IF NOT EXISTS minhash INTEGER[]
+    `);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS resume_minhash_bands (
+        resume_id INTEGER NOT NULL REFERENCES "parsedResume"(id) ON DELETE CASCADE,
+        band SMALLINT NOT NULL,
+        band_hash BIGINT NOT NULL,
+        PRIMARY KEY (resume_id, band)
+      )
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_resume_minhash_bands_bucket ON resume_minhash_bands(band, band_hash);
+    `);
+
+    // Fingerprints are computed in JavaScript, so backfill existing rows in batches
+    let fingerprinted = 0;
+    let lastId = 0;
+    while (true) {
+      const batch = await client.query(
+        `SELECT id, raw_text FROM "parsedResume"
+         WHERE minhash IS NULL AND id > $1
+         ORDER BY id
+         LIMIT 500`,
+        [lastId]
+      );
+      if (batch.rows.length === 0) {
+        break;
+      }
+      for (const row of batch.rows) {
+        const signature = computeMinHash(row.raw_text);
+        if (signature) {
+          await client.query('UPDATE "parsedResume" SET minhash = $2 WHERE id = $1', [row.id, signature]);
+          await client.query(
+            `INSERT INTO resume_minhash_bands (resume_id, band, band_hash)
+             SELECT $1, band - 1, band_hash FROM UNNEST($2::bigint[]) WITH ORDINALITY AS b(band_hash, band)
+             ON CONFLICT DO NOTHING`,
+            [row.id, getBandHashes(signature)]
+          );
+          fingerprinted++;
+        }
+      }
+      lastId = batch.rows[batch.rows.length - 1].id;
+    }
+
+    console.log(`✓ Similarity fingerprints added (${fingerprinted} existing resume(s) fingerprinted)`);
+
+    // Create parse_jobs table for background parsing
+    console.log('Creating parse_jobs table...');
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS parse_jobs (
+        id SERIAL PRIMARY KEY,
+        status VARCHAR(20) NOT NULL DEFAULT 'queued',
+        filename VARCHAR(255) NOT NULL,
+        file_path VARCHAR(500) NOT NULL,
+        file_size INTEGER,
+        options JSONB,
+        resume_id INTEGER REFERENCES "parsedResume"(id) ON DELETE SET NULL,
+        result JSONB,
+        error TEXT,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        started_at TIMESTAMP,
+        finished_at TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT valid_job_status CHECK (status IN ('queued', 'running', 'succeeded', 'failed'))
+      )
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_parse_jobs_status ON parse_jobs(status, created_at);
+    `);
+    // Refreshed while a worker runs the job, so jobs of crashed processes can be told apart
+    await client.query(`
+      ALTER TABLE parse_jobs ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMP;
+    `);
+
+    console.log('✓ parse_jobs table created');
+
+    // Create resume_versions table for parse history
+    console.log('Creating resume_versions table...');
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS resume_versions (
+        id SERIAL PRIMARY KEY,
+        resume_id INTEGER NOT NULL REFERENCES "parsedResume"(id) ON DELETE CASCADE,
+        version_number INTEGER NOT NULL,
+        status VARCHAR(20) NOT NULL,
+        parser_used VARCHAR(50),
+        parse_mode VARCHAR(20),
+        raw_text TEXT,
+        content_hash VARCHAR(64),
+        page_count INTEGER,
+        parsing_time_ms INTEGER,
+        parsed_data JSONB,
+        error TEXT,
+        is_current BOOLEAN NOT NULL DEFAULT false,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT unique_resume_version UNIQUE(resume_id, version_number),
+        CONSTRAINT valid_version_status CHECK (status IN ('succeeded', 'failed', 'duplicate'))
+      )
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_resume_versions_resume ON resume_versions(resume_id, version_number);
+    `);
+
+    // Resumes stored before version history existed get their current parse as version 1
+    const backfill = await client.query(`
+      INSERT INTO resume_versions
+        (resume_id, version_number, status, parser_used, parse_mode, raw_text,
+         content_hash, page_count, parsing_time_ms, parsed_data, is_current, created_at)
+      SELECT r.id, 1, 'succeeded', r.parser_used, r.parsed_data->>'parseMode', r.raw_text,
+             r.content_hash, r.page_count, r.parsing_time_ms, r.parsed_data, true, r.updated_at
+      FROM "parsedResume" r
+      WHERE NOT EXISTS (SELECT 1 FROM resume_versions v WHERE v.resume_id = r.id)
+    `);
+
+    // Last version number handed out per resume, see recordVersion
+    await client.query(`
+      ALTER TABLE "parsedResume" ADD COLUMN IF NOT EXISTS version_count INTEGER NOT NULL DEFAULT 0;
+    `);
+    await client.query(`
+      UPDATE "parsedResume" r
+      SET version_count = v.last_version
+      FROM (SELECT resume_id, MAX(version_number) AS last_version FROM resume_versions GROUP BY resume_id) v
+      WHERE r.id = v.resume_id AND r.version_count < v.last_version
+    `);
+
+    console.log(`✓ resume_versions table created (${backfill.rowCount} existing resume(s) backfilled)`);
+
+    // Create resume_skills table: one row per extracted skill, for skill filtering
+    console.log('Creating resume_skills table...');
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS resume_skills (
+        resume_id INTEGER NOT NULL REFERENCES "parsedResume"(id) ON DELETE CASCADE,
+        skill VARCHAR(100) NOT NULL,
+        skill_key VARCHAR(100) NOT NULL,
+        PRIMARY KEY (resume_id, skill_key)
+      )
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_resume_skills_key ON resume_skills(skill_key, resume_id);
+    `);
+
+    // Fill in skills for resumes stored with structured data before this table existed
+    const skillBackfill = await client.query(`
+      INSERT INTO resume_skills (resume_id, skill, skill_key)
+      SELECT r.id, skill.value, LOWER(skill.value)
+      FROM "parsedResume" r,
+           jsonb_array_elements_text(r.parsed_data->'structured'->'skills') AS skill(value)
+      WHERE jsonb_typeof(r.parsed_data->'structured'->'skills') = 'array'
+      ON CONFLICT DO NOTHING
+    `);
+
+    console.log(`✓ resume_skills table created (${skillBackfill.rowCount} skill(s) backfilled)`);
+
+    // Create resume_terms table: normalized term weights per resume, for job matching
+    console.log('Creating resume_terms table...');
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS resume_terms (
+        resume_id INTEGER NOT NULL REFERENCES "parsedResume"(id) ON DELETE CASCADE,
+        term VARCHAR(50) NOT NULL,
+        weight REAL NOT NULL,
+        PRIMARY KEY (resume_id, term)
+      )
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_resume_terms_term ON resume_terms(term);
+    `);
+
+    // Term weights are computed in JavaScript, so backfill existing rows in batches
+    let weighted = 0;
+    lastId = 0;
+    while (true) {
+      const batch = await client.query(
+        `SELECT r.id, r.raw_text FROM "parsedResume" r
+         WHERE r.id > $1
+           AND NOT EXISTS (SELECT 1 FROM resume_terms t WHERE t.resume_id = r.id)
+         ORDER BY r.id
+         LIMIT 500`,
+        [lastId]
+      );
+      if (batch.rows.length === 0) {
+        break;
+      }
+      for (const row of batch.rows) {
+        const weights = documentTermWeights(row.raw_text);
+        if (weights.size > 0) {
+          await client.query(
+            `INSERT INTO resume_terms (resume_id, term, weight)
+             SELECT $1, term, weight FROM UNNEST($2::text[], $3::real[]) AS t(term, weight)`,
+            [row.id, [...weights.keys()], [...weights.values()]]
+          );
+          weighted++;
+        }
+      }
+      lastId = batch.rows[batch.rows.length - 1].id;
+    }
+
+    console.log(`✓ resume_terms table created (${weighted} existing resume(s) weighted)`);
+
     console.log('\n✅ Database initialization completed successfully!');
     console.log('📊 Table: parsedResume');
     console.log('   - Stores parsed resume text');
-    console.log('   - Generates SHA-256 hash of content');
+    console.log('   - Generates SHA-256 hashes of the file, content and normalized content');
     console.log('   - Tracks parsing method and performance');
+    console.log('   - Total years of experience, for tenure filters');
+    console.log('📊 Table: parse_jobs');
+    console.log('   - Queue for background parsing jobs');
+    console.log('📊 Table: resume_versions');
+    console.log('   - History of every parse attempt per resume');
+    console.log('📊 Table: resume_skills');
+    console.log('   - Extracted skills per resume, for filtering');
+    console.log('📊 Table: resume_terms');
+    console.log('   - Term weights per resume, for job description matching');
+    console.log('📊 Table: resume_minhash_bands');
+    console.log('   - Similarity buckets for near-duplicate detection');
     
   } catch (error) {
     console.error('❌ Error initializing database:', error.message);
@@ -0,0 +1,85 @@
+/**
+ * Regression cases for section segmentation and the extractors built on it
+ * Usage: npm run sections
+ *
+ * pdf.js joins a page's text items with spaces, so the default parser gives one line per
+ * page; the cases below use text in that shape as well as text with line breaks.
+ */
+
+const assert = require('assert');
+const { segmentSections } = require('../parsers/sectionSegmenter');
+const { extractWorkExperience, extractEducation, extractSkills } = require('../parsers/pdfParser');
+
+const PDFJS_PAGE = 'Jane Doe  jane@x.com Work Experience Acme Corp Engineer Jan 2020 - Present '
+  + 'Built services in Node.js Education B.S. Computer Science, State University 2015 - 2019 '
+  + 'Skills Python, React';
+
+const CASES = [
+  {
+    name: 'Title Case headings inside a pdf.js page',
+    text: PDFJS_PAGE,
+    sections: ['experience', 'education', 'skills'],
+    experience: 1,
+    education: 1,
+    skills: ['Python', 'React'],
+  },
+  {
+    name: 'Headings on a second pdf.js page',
+    text: `${PDFJS_PAGE}\n\nProjects Resume parser Languages English`,
+    sections: ['experience', 'education', 'skills', 'projects', 'languages'],
+  },
+  {
+    name: 'ALL CAPS headings inside a pdf.js page',
+    text: 'Jane Doe EXPERIENCE Acme Corp 2019 - 2021 EDUCATION State University, B.A. History',
+    sections: ['experience', 'education'],
+    experience: 1,
+    education: 1,
+  },
+  {
+    name: 'Title Case after a function word is not a heading',
+    text: 'Jane Doe led the Education Platform team with Skills in Go',
+    sections: [],
+  },
+  {
+    name: 'Title Case inside a line of structured text is not a heading',
+    text: 'Jane Doe\nI have Work Experience in the Education sector\nSkills: Go',
+    sections: ['skills'],
+  },
+  {
+    name: 'Headings on their own lines',
+    text: 'Jane Doe\nExperience\nAcme Corp\nJan 2020 - Present\nEducation\nM.S. Physics\nSkills\nPython',
+    sections: ['experience', 'education', 'skills'],
+    experience: 1,
+    education: 1,
+    skills: ['Python'],
+  },
+];
+
+function runCase(testCase) {
+  const sections = segmentSections(testCase.text);
+  assert.deepStrictEqual(sections.map(section => section.type), testCase.sections);
+
+  if (testCase.experience !== undefined) {
+    assert.strictEqual(extractWorkExperience(testCase.text, sections).length, testCase.experience);
+  }
+  if (testCase.education !== undefined) {
+    assert.strictEqual(extractEducation(testCase.text, sections).length, testCase.education);
+  }
+  if (testCase.skills !== undefined) {
+    assert.deepStrictEqual(extractSkills(testCase.text, sections), testCase.skills);
+  }
+}
+
+let failed = 0;
+CASES.forEach(testCase => {
+  try {
+    runCase(testCase);
+    console.log(`✅ ${testCase.name}`);
+  } catch (error) {
+    failed++;
+    console.error(`❌ ${testCase.name}\n   ${error.message.split('\n').join('\n   ')}`);
+  }
+});
+
+console.log(`\n${CASES.length - failed}/${CASES.length} case(s) passed`);
+process.exitCode = failed > 0 ? 1 : 0;
@@ -1,16 +1,41 @@
 require('dotenv').config();
 const express = require('express');
 const multer = require('multer');
-const path = require('path');
 const fs = require('fs').promises;
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 const {
-  processAndStoreResume,
+  PDF_PARSERS,
+  PARSE_MODES,
+  SORT_COLUMNS,
+  HASH_TYPES,
+  detectFileType,
+  parseListFilters,
+  processResumeBatch,
+  reparseResume,
+  getResumeVersions,
+  promoteResumeVersion,
   getResumeById,
+  getResumeFile,
   getAllResumes,
   searchResumeByHash,
   searchResumeByFilename,
+  searchResumeContent,
+  findResumesBySkills,
+  findNearDuplicateClusters,
   deleteResume,
 } = require('./services/resumeService');
+const { enqueueParseJob, getJobById, startJobWorker } = require('./services/jobService');
+const { matchResumes } = require('./services/matchService');
+const {
+  EXPORT_FORMATS,
+  BULK_EXPORT_FORMATS,
+  exportResume,
+  exportResumes,
+} = require('./services/exportService');
+const { getSkillTaxonomy } = require('./parsers/skillTaxonomy');
+const { isSupportedOcrLanguage } = require('./parsers/ocrParser');
+const { UPLOADS_DIR } = require('./storage');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -20,13 +45,12 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Create uploads directory if it doesn't exist
-const uploadsDir = path.join(__dirname, '../uploads');
-fs.mkdir(uploadsDir, { recursive: true }).catch(console.error);
+fs.mkdir(UPLOADS_DIR, { recursive: true }).catch(console.error);
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, uploadsDir);
+    cb(null, UPLOADS_DIR);
   },
   filename: (req, file, cb) => {
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
@@ -34,20 +58,114 @@ const storage = multer.diskStorage({
   },
 });
 
+const UNSUPPORTED_FILE_MESSAGE = 'Only PDF, DOCX and image (PNG, JPEG, TIFF) files are allowed!';
+
+/**
+ * Check whether an uploaded file is a supported document or image
+ * Uses the same detection as the parser dispatch, so an accepted file is never handed to
+ * the wrong parser. Some clients send DOCX as application/octet-stream, so a known
+ * extension is enough.
+ */
+function isSupportedFile(file) {
+  return detectFileType(file.originalname, file.mimetype) !== null;
+}
+
 const upload = multer({
   storage: storage,
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/pdf') {
+    if (isSupportedFile(file)) {
+      cb(null, true);
+    } else {
+      cb(new Error(UNSUPPORTED_FILE_MESSAGE), false);
+    }
+  },
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+  },
+});
+
+// Batch uploads skip unsupported files instead of rejecting the whole request
+const MAX_BATCH_FILES = 50;
+const batchUpload = multer({
+  storage: storage,
+  fileFilter: (req, file, cb) => {
+    if (isSupportedFile(file)) {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF files are allowed!'), false);
+      req.rejectedFiles = req.rejectedFiles || [];
+      req.rejectedFiles.push(file.originalname);
+      cb(null, false);
     }
   },
   limits: {
     fileSize: 10 * 1024 * 1024, // 10MB limit
+    files: MAX_BATCH_FILES,
   },
 });
 
+/**
+ * Delete the uploaded files of a request that is rejected, so they are not left in uploads/
+ */
+async function discardUploads(req) {
+  const files = req.file ? [req.file] : req.files || [];
+  await Promise.all(files.map(file => fs.unlink(file.path).catch(error => {
+    console.error(`Error deleting rejected upload ${file.path}:`, error.message);
+  })));
+}
+
+/**
+ * Read and validate parse options from the form fields or query string
+ * @returns {Object} { options } or { error, allowed } when a value is not recognized
+ */
+function readParseOptions(req) {
+  const source = { ...req.query, ...req.body };
+  const options = {};
+
+  if (source.parser !== undefined && source.parser !== '') {
+    const allowed = Object.keys(PDF_PARSERS);
+    if (!allowed.includes(source.parser)) {
+      return { error: `Unknown parser '${source.parser}'`, allowed };
+    }
+    options.parser = source.parser;
+  }
+
+  if (source.mode !== undefined && source.mode !== '') {
+    if (!PARSE_MODES.includes(source.mode)) {
+      return { error: `Unknown mode '${source.mode}'`, allowed: PARSE_MODES };
+    }
+    options.mode = source.mode;
+  }
+
+  if (source.ocrLanguage !== undefined && source.ocrLanguage !== '') {
+    // Tesseract language codes, optionally combined with '+' (e.g. eng+hin)
+    if (!isSupportedOcrLanguage(source.ocrLanguage)) {
+      return {
+        error: `Invalid ocrLanguage '${source.ocrLanguage}'`,
+        allowed: ['Tesseract language codes such as eng, deu or eng+hin'],
+      };
+    }
+    options.ocrLanguage = source.ocrLanguage;
+  }
+
+  if (source.fast !== undefined && source.fast !== '') {
+    const value = String(source.fast).toLowerCase();
+    if (!['true', 'false', '1', '0'].includes(value)) {
+      return { error: `Invalid fast value '${source.fast}'`, allowed: ['true', 'false'] };
+    }
+    options.fast = value === 'true' || value === '1';
+  }
+
+  return { options };
+}
+
+/**
+ * Read and validate resume list filters from the query string
+ * @returns {Object} { filters } or { error } when a value is invalid
+ */
+function readListFilters(req) {
+  return parseListFilters(req.query);
+}
+
 // Routes
 
 /**
@@ -58,7 +176,7 @@ app.get('/health', (req, res) => {
 });
 
 /**
- * Upload and parse resume
+ * Upload resume and queue it for background parsing
  */
 app.post('/api/resume/upload', upload.single('resume'), async (req, res) => {
   try {
@@ -66,30 +184,22 @@ app.post('/api/resume/upload', upload.single('resume'), async (req, res) => {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    console.log(`Processing uploaded file: ${req.file.originalname}`);
+    const { options, error, allowed } = readParseOptions(req);
+    if (error) {
+      await discardUploads(req);
+      return res.status(400).json({ error, allowed });
+    }
+
+    console.log(`Queueing uploaded file: ${req.file.originalname}`);
 
-    const result = await processAndStoreResume(
-      req.file.path,
-      req.file.originalname,
-      req.file.path,
-      req.file.size
-    );
+    const result = await enqueueParseJob(req.file, options);
 
     if (result.success) {
-      res.json({
-        message: 'Resume uploaded and parsed successfully',
-        resumeId: result.resumeId,
-        hash: result.hash,
-        numPages: result.numPages,
-        textLength: result.textLength,
-        parsingTime: result.parsingTime,
-      });
-    } else if (result.duplicate) {
-      res.status(409).json({
-        error: 'Duplicate resume detected',
-        message: result.message,
-        existingId: result.existingId,
-        hash: result.hash,
+      res.status(202).json({
+        message: 'Resume uploaded and queued for parsing',
+        jobId: result.data.id,
+        status: result.data.status,
+        statusUrl: `/api/jobs/${result.data.id}`,
       });
     } else {
       res.status(500).json({ error: result.error });
@@ -101,14 +211,116 @@ app.post('/api/resume/upload', upload.single('resume'), async (req, res) => {
 });
 
 /**
- * Get all resumes
+ * Get parse job status
+ */
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id);
+
+    if (isNaN(jobId)) {
+      return res.status(400).json({ error: 'Invalid job ID' });
+    }
+
+    const result = await getJobById(jobId);
+
+    if (result.success) {
+      res.json(result.data);
+    } else {
+      res.status(404).json({ error: result.error });
+    }
+  } catch (error) {
+    console.error('Error in get job endpoint:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Upload and parse many resumes in one request
+ */
+app.post('/api/resumes/batch', batchUpload.array('resumes', MAX_BATCH_FILES), async (req, res) => {
+  try {
+    const files = req.files || [];
+    const rejectedFiles = req.rejectedFiles || [];
+
+    if (files.length === 0 && rejectedFiles.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+
+    const { options, error, allowed } = readParseOptions(req);
+    if (error) {
+      await discardUploads(req);
+      return res.status(400).json({ error, allowed });
+    }
+
+    console.log(`Processing batch of ${files.length} file(s)`);
+
+    const { parser, ...parseOptions } = options;
+    const batch = await processResumeBatch(files, parser, parseOptions);
+
+    // Unsupported files never reached the parser, report them as failed
+    rejectedFiles.forEach(filename => {
+      batch.results.push({
+        filename,
+        status: 'failed',
+        error: UNSUPPORTED_FILE_MESSAGE,
+      });
+    });
+    batch.summary.total += rejectedFiles.length;
+    batch.summary.failed += rejectedFiles.length;
+
+    res.json({
+      message: `Processed ${batch.summary.total} file(s)`,
+      summary: batch.summary,
+      results: batch.results,
+    });
+  } catch (error) {
+    console.error('Error in batch upload endpoint:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get a page of resumes, sorted and filtered
  */
 app.get('/api/resumes', async (req, res) => {
   try {
-    const result = await getAllResumes();
+    const { filters, error } = readListFilters(req);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const sort = req.query.sort || 'created_at';
+    if (!SORT_COLUMNS[sort]) {
+      return res.status(400).json({
+        error: `Cannot sort by '${sort}'`,
+        allowed: Object.keys(SORT_COLUMNS),
+      });
+    }
+
+    const order = (req.query.order || 'desc').toLowerCase();
+    if (!['asc', 'desc'].includes(order)) {
+      return res.status(400).json({ error: `Invalid order '${req.query.order}'`, allowed: ['asc', 'desc'] });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const result = await getAllResumes({
+      sort,
+      order,
+      limit,
+      cursor: req.query.cursor,
+      filters,
+    });
     
     if (result.success) {
-      res.json({ resumes: result.data });
+      res.json({
+        resumes: result.data,
+        total: result.total,
+        limit,
+        nextCursor: result.nextCursor,
+      });
+    } else if (result.invalid) {
+      res.status(400).json({ error: result.error });
     } else {
       res.status(500).json({ error: result.error });
     }
@@ -118,6 +330,192 @@ app.get('/api/resumes', async (req, res) => {
   }
 });
 
+/**
+ * Stream all resumes matching the list filters as CSV or NDJSON
+ */
+app.get('/api/resumes/export', async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!BULK_EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: `Unknown export format '${format}'`,
+        allowed: BULK_EXPORT_FORMATS,
+      });
+    }
+
+    const { filters, error } = readListFilters(req);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const includeText = req.query.includeText === 'true';
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.attachment(`resumes-${date}.${format}`);
+    res.type(format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+
+    await pipeline(Readable.from(exportResumes(format, filters, { includeText })), res);
+  } catch (error) {
+    console.error('Error in export endpoint:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.removeHeader('Content-Disposition');
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+/**
+ * Full-text search over resume content
+ */
+app.get('/api/resumes/search', async (req, res) => {
+  try {
+    const { q } = req.query;
+
+    if (!q || !q.trim()) {
+      return res.status(400).json({ error: 'Query parameter q is required' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const result = await searchResumeContent(q, { limit, offset });
+
+    if (result.success) {
+      res.json({
+        query: q,
+        total: result.total,
+        limit,
+        offset,
+        results: result.data,
+      });
+    } else {
+      res.status(500).json({ error: result.error });
+    }
+  } catch (error) {
+    console.error('Error in content search endpoint:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Filter resumes by extracted skills
+ */
+app.get('/api/resumes/by-skills', async (req, res) => {
+  try {
+    const { filters: listFilters, error } = readListFilters(req);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const toList = (value) => (value ? String(value).split(',').map(v => v.trim()).filter(v => v) : []);
+    const filters = {
+      ...listFilters,
+      all: toList(req.query.all),
+      any: toList(req.query.any),
+      none: toList(req.query.none),
+      limit: Math.min(parseInt(req.query.limit) || 50, 200),
+      offset: Math.max(parseInt(req.query.offset) || 0, 0),
+    };
+
+    if (filters.all.length + filters.any.length + filters.none.length === 0) {
+      return res.status(400).json({ error: 'At least one of all, any or none is required' });
+    }
+
+    const result = await findResumesBySkills(filters);
+
+    if (result.success) {
+      res.json({
+        total: result.total,
+        limit: filters.limit,
+        offset: filters.offset,
+        resumes: result.data,
+      });
+    } else {
+      res.status(500).json({ error: result.error });
+    }
+  } catch (error) {
+    console.error('Error in skill filter endpoint:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * List the skills the skill taxonomy recognizes
+ */
+app.get('/api/skills', (req, res) => {
+  try {
+    const taxonomy = getSkillTaxonomy();
+    res.json({
+      version: taxonomy.version,
+      categories: taxonomy.categories,
+      skills: taxonomy.skills.map(({ name, aliases, category }) => ({ name, aliases, category })),
+    });
+  } catch (error) {
+    console.error('Error in skill taxonomy endpoint:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * List clusters of near-duplicate resumes
+ */
+app.get('/api/resumes/near-duplicates', async (req, res) => {
+  try {
+    let threshold;
+    if (req.query.threshold !== undefined) {
+      threshold = parseFloat(req.query.threshold);
+      if (isNaN(threshold) || threshold <= 0.5 || threshold > 1) {
+        return res.status(400).json({ error: 'threshold must be a number above 0.5 and at most 1' });
+      }
+    }
+
+    const result = await findNearDuplicateClusters(threshold);
+
+    if (result.success) {
+      res.json({
+        threshold: result.threshold,
+        clusters: result.data,
+      });
+    } else {
+      res.status(500).json({ error: result.error });
+    }
+  } catch (error) {
+    console.error('Error in near-duplicates endpoint:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Rank stored resumes against a job description
+ */
+app.post('/api/match', async (req, res) => {
+  try {
+    const { jobDescription } = req.body;
+
+    if (typeof jobDescription !== 'string' || !jobDescription.trim()) {
+      return res.status(400).json({ error: 'jobDescription is required' });
+    }
+
+    const limit = Math.min(parseInt(req.body.limit || req.query.limit) || 20, 100);
+
+    const result = await matchResumes(jobDescription, { limit });
+
+    if (result.success) {
+      res.json({
+        limit,
+        ...result.data,
+      });
+    } else {
+      res.status(500).json({ error: result.error });
+    }
+  } catch (error) {
+    console.error('Error in match endpoint:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * Get resume by ID
  */
@@ -142,18 +540,205 @@ app.get('/api/resume/:id', async (req, res) => {
   }
 });
 
+/**
+ * Download the original uploaded file of a resume
+ */
+app.get('/api/resume/:id/file', async (req, res) => {
+  try {
+    const resumeId = parseInt(req.params.id);
+    
+    if (isNaN(resumeId)) {
+      return res.status(400).json({ error: 'Invalid resume ID' });
+    }
+
+    const result = await getResumeFile(resumeId);
+
+    if (result.success) {
+      const { filename, stream, size } = result.data;
+      res.attachment(filename);
+      if (size !== undefined) {
+        res.set('Content-Length', String(size));
+      }
+      stream.on('error', (error) => {
+        console.error('Error streaming resume file:', error);
+        res.destroy(error);
+      });
+      stream.pipe(res);
+    } else if (result.notFound) {
+      res.status(404).json({ error: result.error });
+    } else {
+      res.status(500).json({ error: result.error });
+    }
+  } catch (error) {
+    console.error('Error in download endpoint:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Export a resume in a standard format (JSON Resume)
+ */
+app.get('/api/resume/:id/export', async (req, res) => {
+  try {
+    const resumeId = parseInt(req.params.id);
+    
+    if (isNaN(resumeId)) {
+      return res.status(400).json({ error: 'Invalid resume ID' });
+    }
+
+    const format = req.query.format || 'jsonresume';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: `Unknown export format '${format}'`,
+        allowed: EXPORT_FORMATS,
+      });
+    }
+
+    const result = await exportResume(resumeId, format);
+
+    if (result.success) {
+      res.json(result.data);
+    } else if (result.notFound) {
+      res.status(404).json({ error: result.error });
+    } else if (result.invalid) {
+      res.status(422).json({ error: result.error, errors: result.errors });
+    } else {
+      res.status(500).json({ error: result.error });
+    }
+  } catch (error) {
+    console.error('Error in export endpoint:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Re-parse a stored resume with a different parser or mode
+ */
+app.post('/api/resume/:id/reparse', async (req, res) => {
+  try {
+    const resumeId = parseInt(req.params.id);
+
+    if (isNaN(resumeId)) {
+      return res.status(400).json({ error: 'Invalid resume ID' });
+    }
+
+    const { options, error, allowed } = readParseOptions(req);
+    if (error) {
+      return res.status(400).json({ error, allowed });
+    }
+
+    const { parser, ...parseOptions } = options;
+    const result = await reparseResume(resumeId, parser, parseOptions);
+
+    if (result.success) {
+      res.json({
+        message: 'Resume re-parsed successfully',
+        ...result,
+      });
+    } else if (result.notFound) {
+      res.status(404).json({ error: result.error });
+    } else if (result.duplicate) {
+      res.status(409).json({
+        error: 'Duplicate resume detected',
+        message: result.message,
+        existingId: result.existingId,
+        matchedOn: result.matchedOn,
+        hash: result.hash,
+      });
+    } else if (result.parseFailed) {
+      res.status(422).json({ error: result.error });
+    } else {
+      res.status(500).json({ error: result.error });
+    }
+  } catch (error) {
+    console.error('Error in reparse endpoint:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get parse version history for a resume
+ */
+app.get('/api/resume/:id/versions', async (req, res) => {
+  try {
+    const resumeId = parseInt(req.params.id);
+
+    if (isNaN(resumeId)) {
+      return res.status(400).json({ error: 'Invalid resume ID' });
+    }
+
+    const result = await getResumeVersions(resumeId, {
+      includeText: req.query.includeText === 'true',
+    });
+
+    if (result.success) {
+      res.json({ versions: result.data });
+    } else {
+      res.status(404).json({ error: result.error });
+    }
+  } catch (error) {
+    console.error('Error in get versions endpoint:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Promote a parse version to be the resume's current one
+ */
+app.post('/api/resume/:id/versions/:versionId/promote', async (req, res) => {
+  try {
+    const resumeId = parseInt(req.params.id);
+    const versionId = parseInt(req.params.versionId);
+
+    if (isNaN(resumeId) || isNaN(versionId)) {
+      return res.status(400).json({ error: 'Invalid resume or version ID' });
+    }
+
+    const result = await promoteResumeVersion(resumeId, versionId);
+
+    if (result.success) {
+      res.json(result);
+    } else if (result.notFound) {
+      res.status(404).json({ error: result.error });
+    } else if (result.invalid) {
+      res.status(400).json({ error: result.error });
+    } else if (result.duplicate) {
+      res.status(409).json({
+        error: 'Duplicate resume detected',
+        message: result.message,
+        existingId: result.existingId,
+        matchedOn: result.matchedOn,
+        hash: result.hash,
+      });
+    } else {
+      res.status(500).json({ error: result.error });
+    }
+  } catch (error) {
+    console.error('Error in promote version endpoint:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * Search resume by hash
+ * Matches the file, content or normalized hash; ?type= restricts it to one of them
  */
 app.get('/api/resume/search/hash', async (req, res) => {
   try {
-    const { hash } = req.query;
+    const { hash, type } = req.query;
     
     if (!hash) {
       return res.status(400).json({ error: 'Hash parameter is required' });
     }
 
-    const result = await searchResumeByHash(hash);
+    if (type !== undefined && !HASH_TYPES[type]) {
+      return res.status(400).json({
+        error: `Unknown hash type '${type}'`,
+        allowed: Object.keys(HASH_TYPES),
+      });
+    }
+
+    const result = await searchResumeByHash(hash, type);
     
     if (result.success) {
       res.json({ 
@@ -207,7 +792,7 @@ app.delete('/api/resume/:id', async (req, res) => {
     const result = await deleteResume(resumeId);
     
     if (result.success) {
-      res.json({ message: result.message });
+      res.json({ message: result.message, fileDeleted: result.fileDeleted });
     } else {
       res.status(404).json({ error: result.error });
     }
@@ -219,6 +804,9 @@ app.delete('/api/resume/:id', async (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    return res.status(400).json({ error: err.message, code: err.code });
+  }
   console.error('Unhandled error:', err);
   res.status(500).json({ error: err.message || 'Internal server error' });
 });
@@ -226,8 +814,15 @@ app.use((err, req, res, next) => {
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 Resume Parser API running on port ${PORT}`);
+  startJobWorker().catch(error => {
+    console.error('Failed to start parse job worker:', error);
+  });
   console.log(`📝 Upload endpoint: http://localhost:${PORT}/api/resume/upload`);
+  console.log(`⏳ Job status: http://localhost:${PORT}/api/jobs/:id`);
+  console.log(`📦 Batch upload: http://localhost:${PORT}/api/resumes/batch`);
   console.log(`📋 Get all resumes: http://localhost:${PORT}/api/resumes`);
+  console.log(`🔍 Search content: http://localhost:${PORT}/api/resumes/search?q=kubernetes`);
+  console.log(`🎯 Match job description: POST http://localhost:${PORT}/api/match`);
   console.log(`🔍 Search by hash: http://localhost:${PORT}/api/resume/search/hash?hash=abc123`);
   console.log(`🔍 Search by filename: http://localhost:${PORT}/api/resume/search/filename?filename=resume.pdf`);
 });
@@ -1,6 +1,7 @@
 const fs = require('fs').promises;
 const crypto = require('crypto');
 const { extractText } = require('unpdf');
+const { readTextLines, readPageLinks, uniqueLinks } = require('./layoutParser');
 
 /**
  * Parser 1: pdf-parse (Recommended - Simple and Reliable)
@@ -65,6 +66,8 @@ async function parseWithPdfJs(input) {
     const pdfDocument = await loadingTask.promise;
     const numPages = pdfDocument.numPages;
     let fullText = '';
+    let firstPageLines = [];
+    const links = [];
 
     // Extract text from each page
     for (let pageNum = 1; pageNum <= numPages; pageNum++) {
@@ -72,6 +75,11 @@ async function parseWithPdfJs(input) {
       const textContent = await page.getTextContent();
       const pageText = textContent.items.map(item => item.str).join(' ');
       fullText += pageText + '\n\n';
+      // Font sizes and positions of the first page, used to find the candidate's name
+      if (pageNum === 1) {
+        firstPageLines = readTextLines(textContent.items, page.view);
+      }
+      links.push(...await readPageLinks(page, textContent.items, pageNum));
     }
 
     const metadata = await pdfDocument.getMetadata();
@@ -83,6 +91,8 @@ async function parseWithPdfJs(input) {
       text: fullText.trim(),
       numPages,
       metadata: metadata.info,
+      firstPageLines,
+      links: uniqueLinks(links),
       parsingTime,
     };
   } catch (error) {
@@ -235,6 +245,24 @@ function generateHash(text) {
   return crypto.createHash('sha256').update(text).digest('hex');
 }
 
+/**
+ * Generate SHA-256 hash of the original file bytes
+ * @param {string|Buffer} input - File path or buffer
+ */
+async function generateFileHash(input) {
+  const dataBuffer = typeof input === 'string' ? await fs.readFile(input) : input;
+  return crypto.createHash('sha256').update(dataBuffer).digest('hex');
+}
+
+/**
+ * Generate SHA-256 hash of text with case and whitespace differences removed
+ * Catches the same resume re-extracted with different line breaks or spacing.
+ */
+function generateNormalizedHash(text) {
+  const normalized = text.normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
 /**
  * Compare all parsers on the same PDF
  */
@@ -384,5 +412,7 @@ module.exports = {
   parseWithPdfReader,
   parseWithUnpdf,
   generateHash,
+  generateFileHash,
+  generateNormalizedHash,
   compareAllParsers,
 };
@@ -0,0 +1,142 @@
+const { findPhoneNumbersInText, isSupportedCountry } = require('libphonenumber-js');
+
+// Country assumed for numbers written without a +country code (ISO 3166-1 alpha-2)
+const DEFAULT_PHONE_REGION = (process.env.PHONE_DEFAULT_REGION || 'US').toUpperCase();
+
+if (!isSupportedCountry(DEFAULT_PHONE_REGION)) {
+  console.error(`⚠️  Unknown PHONE_DEFAULT_REGION '${DEFAULT_PHONE_REGION}': only numbers with a +country code will be read`);
+}
+
+// File names such as "logo@2x.png" look like addresses but end in a file extension
+const FILE_EXTENSIONS = new Set(['png', 'jpg', 'jpeg', 'gif', 'svg', 'webp', 'bmp', 'pdf', 'doc', 'docx', 'js', 'css']);
+
+const EMAIL_REGEX = /(?<![\w.%+-])[A-Za-z0-9](?:[A-Za-z0-9._%+-]*[A-Za-z0-9_%+-])?@(?:[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?\.)+[A-Za-z]{2,24}(?![\w-])/g;
+
+// Context words before a contact (or in parentheses right after it) that give its label
+const PHONE_LABELS = {
+  mobile: /\b(?:mobile|mob|cell(?:phone)?|whatsapp)\b|\bm\s*[:.]/gi,
+  work: /\b(?:work|office|business|direct)\b|\bw\s*[:.]/gi,
+  home: /\bhome\b|\bh\s*[:.]/gi,
+  fax: /\bfax\b|\bf\s*[:.]/gi,
+};
+const EMAIL_LABELS = {
+  work: /\b(?:work|office|business)\b/gi,
+  personal: /\b(?:personal|private|home)\b/gi,
+};
+
+// How far before a contact to look for a label, within the same line
+const LABEL_WINDOW = 25;
+
+/**
+ * Guess a contact's label from the words around it
+ * Only text on the same line and after the previous contact is considered, so in
+ * "Mobile: +91 ... | Work: +44 ..." each number gets its own label.
+ * @returns {string|null} Label, or null when nothing hints at one
+ */
+function guessLabel(text, start, end, previousEnd, labels) {
+  const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+  const before = text.slice(Math.max(lineStart, previousEnd, start - LABEL_WINDOW), start);
+  const after = (text.slice(end).match(/^\s*\(([^)\n]{1,15})\)/) || [])[1] || '';
+
+  let best = null;
+  let bestIndex = -1;
+  Object.entries(labels).forEach(([label, regex]) => {
+    if (new RegExp(regex.source, 'i').test(after)) {
+      best = label;
+      bestIndex = Infinity;
+    }
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(before)) !== null) {
+      if (match.index > bestIndex) {
+        best = label;
+        bestIndex = match.index;
+      }
+    }
+  });
+  return best;
+}
+
+/**
+ * Find every email address in a text
+ * @param {string} text - Resume text
+ * @returns {Array<Object>} { address, label } in order of appearance, without repeats or
+ *                          file names; the domain is lowercased
+ */
+function extractEmails(text) {
+  const emails = [];
+  const seen = new Set();
+  let previousEnd = 0;
+
+  for (const match of (text || '').matchAll(EMAIL_REGEX)) {
+    const [local, domain] = match[0].split('@');
+    const address = `${local}@${domain.toLowerCase()}`;
+    const end = match.index + match[0].length;
+    const bogus = local.includes('..') || FILE_EXTENSIONS.has(domain.split('.').pop().toLowerCase());
+
+    if (!bogus && !seen.has(address.toLowerCase())) {
+      seen.add(address.toLowerCase());
+      emails.push({ address, label: guessLabel(text, match.index, end, previousEnd, EMAIL_LABELS) });
+    }
+    previousEnd = end;
+  }
+
+  return emails;
+}
+
+/**
+ * Whether a phone-shaped match is really a date or a run of years
+ * ("2019 - 06/2021", "2019 2020 1234")
+ */
+function looksLikeDates(raw) {
+  if (raw.startsWith('+')) {
+    return false;
+  }
+  const years = raw.match(/(?<!\d)(?:19|20)\d{2}(?!\d)/g) || [];
+  return years.length >= 2 || /(?<!\d)(?:0?[1-9]|1[0-2])\/(?:19|20)\d{2}(?!\d)/.test(raw);
+}
+
+/**
+ * Find every phone number in a text, normalized to E.164
+ * Numbers are validated against the numbering plan of their country, so digit runs that
+ * cannot be dialed (dates, zip codes, IDs) are left out.
+ * @param {string} text - Resume text
+ * @param {Object} options - Options
+ * @param {string} options.defaultRegion - Country for numbers without a +country code
+ *                                         (default: PHONE_DEFAULT_REGION or US)
+ * @returns {Array<Object>} { number, raw, country, label } in order of appearance, without repeats
+ */
+function extractPhones(text, options = {}) {
+  const region = (options.defaultRegion || DEFAULT_PHONE_REGION).toUpperCase();
+  const defaultCountry = isSupportedCountry(region) ? region : undefined;
+  const phones = [];
+  const seen = new Set();
+  let previousEnd = 0;
+
+  findPhoneNumbersInText(text || '', { defaultCountry }).forEach(match => {
+    const raw = text.slice(match.startsAt, match.endsAt);
+    if (looksLikeDates(raw)) {
+      return;
+    }
+
+    const number = match.number.number;
+    if (!seen.has(number)) {
+      seen.add(number);
+      phones.push({
+        number,
+        raw,
+        country: match.number.country || null,
+        label: guessLabel(text, match.startsAt, match.endsAt, previousEnd, PHONE_LABELS),
+      });
+    }
+    previousEnd = match.endsAt;
+  });
+
+  return phones;
+}
+
+module.exports = {
+  DEFAULT_PHONE_REGION,
+  extractEmails,
+  extractPhones,
+};
@@ -0,0 +1,214 @@
+/**
+ * Resume date parsing
+ *
+ * Reads the dates of resume entries ("Jan 2020 – Present", "03/2019 - 2021-06",
+ * "Summer 2021") into { year, month } points, ISO 8601 dates and durations in months.
+ */
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12,
+};
+
+// First and last month of each season; "Winter 2021" is read as the start of 2021
+const SEASONS = {
+  spring: [3, 5],
+  summer: [6, 8],
+  fall: [9, 11],
+  autumn: [9, 11],
+  winter: [1, 3],
+};
+
+const YEAR = '((?:19|20)\\d{2})';
+
+// One date, most specific format first
+const DATE_POINT_REGEX = new RegExp([
+  // "Jan 2020", "January, 2020", "Sept. 2019"
+  '(?<![A-Za-z])(?<monthName>Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?'
+    + `|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)(?![A-Za-z])\\.?,?\\s+${YEAR}`,
+  // "Summer 2021"
+  `(?<![A-Za-z])(?<season>Spring|Summer|Fall|Autumn|Winter)\\s+${YEAR}`,
+  // "03/2019", "3-2019", "03.2019"
+  `(?<![\\d/.-])(?<numericMonth>0?[1-9]|1[0-2])[/.-]${YEAR}(?!\\d)`,
+  // "2019-03", "2019/03"
+  `(?<!\\d)${YEAR}[/-](?<isoMonth>0[1-9]|1[0-2])(?![\\d/.-])`,
+  // "2019"
+  `(?<!\\d)${YEAR}(?!\\d)`,
+  // Open-ended ranges
+  '(?<![A-Za-z])(?<current>Present|Current|Now|Today|Ongoing|Date)(?![A-Za-z])',
+].join('|'), 'gi');
+
+// What may stand between the two dates of a range
+const RANGE_SEPARATOR = /^\s*(?:-|–|—|~|to|until|till|through|thru)\s*$/i;
+
+/**
+ * Find the dates in a text
+ * @returns {Array<Object>} { index, end, current } or { index, end, year, month, lastMonth }
+ *                          where lastMonth differs from month only for seasons
+ */
+function findDatePoints(text) {
+  const points = [];
+  DATE_POINT_REGEX.lastIndex = 0;
+  let match;
+
+  while ((match = DATE_POINT_REGEX.exec(text || '')) !== null) {
+    const groups = match.groups;
+    const position = { index: match.index, end: match.index + match[0].length };
+
+    if (groups.current) {
+      points.push({ ...position, current: true });
+      continue;
+    }
+
+    // The year is in whichever YEAR group took part in the match
+    const year = parseInt(match.slice(1).find(value => value && /^(?:19|20)\d{2}$/.test(value)));
+    let month = null;
+    let lastMonth = null;
+
+    if (groups.monthName) {
+      month = MONTHS[groups.monthName.slice(0, 3).toLowerCase()];
+    } else if (groups.season) {
+      [month, lastMonth] = SEASONS[groups.season.toLowerCase()];
+    } else if (groups.numericMonth) {
+      month = parseInt(groups.numericMonth);
+    } else if (groups.isoMonth) {
+      month = parseInt(groups.isoMonth);
+    }
+
+    points.push({ ...position, current: false, year, month, lastMonth: lastMonth || month });
+  }
+
+  return points;
+}
+
+/**
+ * Read a date range such as "Jan 2020 - Present", "2018 – 2021", "03/2019 to 06/2020",
+ * "Summer 2021" or "May 2019"
+ * @param {string} text - Text containing the dates
+ * @returns {Object|null} { start, end, current } where start and end are { year, month }
+ *                        (month 1-12, or null when only the year is given). A single date
+ *                        is treated as the end of the range, except a season, which covers
+ *                        its own months. null if no date is found.
+ */
+function parseDateRange(text) {
+  const points = findDatePoints(text);
+  const first = points.find(point => !point.current);
+  if (!first) {
+    return null;
+  }
+
+  const toStart = (point) => ({ year: point.year, month: point.month });
+  const toEnd = (point) => ({ year: point.year, month: point.lastMonth });
+  const next = points[points.indexOf(first) + 1];
+  const isRange = next && RANGE_SEPARATOR.test(text.slice(first.end, next.index));
+
+  if (isRange && next.current) {
+    return { start: toStart(first), end: null, current: true };
+  }
+  if (isRange) {
+    return { start: toStart(first), end: toEnd(next), current: false };
+  }
+  if (first.lastMonth !== first.month) {
+    return { start: toStart(first), end: toEnd(first), current: false };
+  }
+  return { start: null, end: toEnd(first), current: false };
+}
+
+/**
+ * Format a { year, month } date as ISO 8601 (YYYY-MM, or YYYY without a month)
+ */
+function toIsoDate(point) {
+  if (!point) {
+    return undefined;
+  }
+  return point.month ? `${point.year}-${String(point.month).padStart(2, '0')}` : String(point.year);
+}
+
+/**
+ * Turn a range into a half-open interval of month numbers (year * 12 + month - 1)
+ * The end month counts as worked when it is given ("Jan 2020 - Dec 2020" is 12 months);
+ * a year-only end stops at the start of that year ("2018 - 2021" is 36 months), unless the
+ * range starts in that year ("2020 - 2020" runs to its end).
+ * @returns {Object|null} { from, to }, or null without a start date or when the end is before the start
+ */
+function toMonthInterval(range, now = new Date()) {
+  if (!range || !range.start) {
+    return null;
+  }
+  const from = range.start.year * 12 + (range.start.month || 1) - 1;
+  let to = range.current
+    ? now.getFullYear() * 12 + now.getMonth() + 1
+    : range.end.year * 12 + (range.end.month || 0);
+  if (!range.current && !range.end.month && to <= from) {
+    to = range.end.year * 12 + 12;
+  }
+  return to > from ? { from, to } : null;
+}
+
+/**
+ * Normalize the dates of one entry
+ * @param {string} text - Date text, e.g. "Jan 2020 – Present"
+ * @param {Date} now - End of open-ended ranges (default: now)
+ * @returns {Object} { startDate, endDate, current, durationMonths } with ISO dates; fields
+ *                   that cannot be read are null
+ */
+function normalizeDateRange(text, now = new Date()) {
+  const range = parseDateRange(text);
+  if (!range) {
+    return { startDate: null, endDate: null, current: false, durationMonths: null };
+  }
+
+  const interval = toMonthInterval(range, now);
+  return {
+    startDate: toIsoDate(range.start) || null,
+    endDate: toIsoDate(range.end) || null,
+    current: range.current,
+    durationMonths: interval ? interval.to - interval.from : null,
+  };
+}
+
+/**
+ * Total months covered by a set of date texts, counting overlapping periods once
+ * @param {Array<string>} dateTexts - Date texts of the entries
+ * @param {Date} now - End of open-ended ranges (default: now)
+ * @returns {number|null} Months, or null if no range with a start date could be read
+ */
+function totalMonths(dateTexts, now = new Date()) {
+  const intervals = dateTexts
+    .map(text => toMonthInterval(parseDateRange(text), now))
+    .filter(interval => interval)
+    .sort((a, b) => a.from - b.from);
+
+  if (intervals.length === 0) {
+    return null;
+  }
+
+  let total = 0;
+  let { from, to } = intervals[0];
+  intervals.slice(1).forEach(interval => {
+    if (interval.from > to) {
+      total += to - from;
+      ({ from, to } = interval);
+    } else {
+      to = Math.max(to, interval.to);
+    }
+  });
+  total += to - from;
+
+  return total;
+}
+
+/**
+ * Convert months to years, rounded to one decimal
+ * @returns {number|null} Years, or null when months is missing
+ */
+function monthsToYears(months) {
+  return months === null || months === undefined ? null : Math.round(months / 12 * 10) / 10;
+}
+
+module.exports = {
+  parseDateRange,
+  toIsoDate,
+  normalizeDateRange,
+  totalMonths,
+  monthsToYears,
+};
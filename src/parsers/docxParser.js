@@ -0,0 +1,251 @@
+const AdmZip = require('adm-zip');
+const fs = require('fs').promises;
+
+/**
+ * Parse a DOCX (Office Open XML) file by reading word/document.xml
+ *
+ * Paragraphs become lines, list paragraphs are prefixed with a bullet and
+ * table rows are emitted one per line with cells separated by " | ".
+ *
+ * @param {string|Buffer} input - File path or buffer
+ * @returns {Promise<Object>} Parsing result in the same shape as the PDF parsers
+ */
+async function parseDocx(input) {
+  const startTime = Date.now();
+
+  try {
+    let dataBuffer;
+    if (typeof input === 'string') {
+      dataBuffer = await fs.readFile(input);
+    } else {
+      dataBuffer = input;
+    }
+
+    const zip = new AdmZip(dataBuffer);
+    const documentXml = readZipEntry(zip, 'word/document.xml');
+    if (!documentXml) {
+      throw new Error('Not a Word document: word/document.xml is missing');
+    }
+
+    const text = documentXmlToText(documentXml);
+    const appXml = readZipEntry(zip, 'docProps/app.xml');
+    const coreXml = readZipEntry(zip, 'docProps/core.xml');
+
+    // Word records the page count at save time; fall back to 1 when absent
+    const pages = appXml ? parseInt(readXmlTag(appXml, 'Pages')) : NaN;
+
+    return {
+      success: true,
+      parser: 'docx',
+      text,
+      numPages: isNaN(pages) || pages < 1 ? 1 : pages,
+      metadata: {
+        title: coreXml ? readXmlTag(coreXml, 'dc:title') : null,
+        author: coreXml ? readXmlTag(coreXml, 'dc:creator') : null,
+        application: appXml ? readXmlTag(appXml, 'Application') : null,
+      },
+      parsingTime: Date.now() - startTime,
+    };
+  } catch (error) {
+    return {
+      success: false,
+      parser: 'docx',
+      error: error.message,
+      parsingTime: Date.now() - startTime,
+    };
+  }
+}
+
+/**
+ * Read a zip entry as UTF-8 text, or null if it does not exist
+ */
+function readZipEntry(zip, entryName) {
+  const entry = zip.getEntry(entryName);
+  return entry ? entry.getData().toString('utf8') : null;
+}
+
+/**
+ * Read the text of the first occurrence of a simple XML tag
+ */
+function readXmlTag(xml, tagName) {
+  const match = xml.match(new RegExp(`<${tagName}(?:\\s[^>]*)?>([^<]*)</${tagName}>`));
+  return match ? decodeXmlEntities(match[1]) : null;
+}
+
+/**
+ * Convert the WordprocessingML body to plain text
+ * @param {string} xml - Contents of word/document.xml
+ * @returns {string} Plain text with line breaks
+ */
+function documentXmlToText(xml) {
+  const lines = [];
+  // One entry per open table; nested tables render into the enclosing cell
+  const tables = [];
+  // Text boxes nest paragraphs inside a run of the outer paragraph
+  const paragraphs = [];
+  let inText = false;
+  // Depth inside <mc:Fallback>, which repeats the preceding <mc:Choice> content
+  let fallbackDepth = 0;
+
+  // Text emitted by a finished paragraph or table goes to the current cell, or to the body
+  const emit = (line) => {
+    const table = tables[tables.length - 1];
+    if (table && table.cell) {
+      table.cell.push(line);
+    } else {
+      lines.push(line);
+    }
+  };
+
+  const tokenRegex = /<(\/?)([\w:]+)([^>]*?)(\/?)>|([^<]+)/g;
+  let token;
+
+  while ((token = tokenRegex.exec(xml)) !== null) {
+    const [, closing, tag, attributes, selfClosing, textNode] = token;
+    const paragraph = paragraphs[paragraphs.length - 1];
+
+    if (tag === 'mc:Fallback' && !selfClosing) {
+      fallbackDepth += closing ? -1 : 1;
+      continue;
+    }
+    if (fallbackDepth > 0) {
+      continue;
+    }
+
+    if (textNode !== undefined) {
+      if (inText && paragraph) {
+        paragraph.text += decodeXmlEntities(textNode);
+      }
+      continue;
+    }
+
+    if (closing) {
+      switch (tag) {
+        case 'w:t':
+          inText = false;
+          break;
+        case 'w:p':
+          if (paragraph) {
+            paragraphs.pop();
+            const text = paragraph.text.trim();
+            if (text) {
+              emit(paragraph.isListItem ? `• ${text}` : text);
+            } else if (!tables.length) {
+              // Keep empty paragraphs as blank lines so sections stay separated
+              lines.push('');
+            }
+          }
+          break;
+        case 'w:tc': {
+          const table = tables[tables.length - 1];
+          if (table && table.cell) {
+            table.row.push(table.cell.join(' ').trim());
+            table.cell = null;
+          }
+          break;
+        }
+        case 'w:tr': {
+          const table = tables[tables.length - 1];
+          if (table && table.row) {
+            const cells = table.row.filter(cell => cell);
+            if (cells.length > 0) {
+              table.rows.push(cells.join(' | '));
+            }
+            table.row = null;
+          }
+          break;
+        }
+        case 'w:tbl': {
+          const table = tables.pop();
+          if (table) {
+            table.rows.forEach(row => emit(row));
+          }
+          break;
+        }
+      }
+      continue;
+    }
+
+    switch (tag) {
+      case 'w:p':
+        if (!selfClosing) {
+          paragraphs.push({ text: '', isListItem: false });
+        } else if (!tables.length) {
+          lines.push('');
+        }
+        break;
+      case 'w:t':
+        inText = !selfClosing;
+        break;
+      case 'w:tab':
+        if (paragraph && !isInsideProperties(xml, token.index)) {
+          paragraph.text += '\t';
+        }
+        break;
+      case 'w:br':
+      case 'w:cr':
+        if (paragraph) {
+          paragraph.text += '\n';
+        }
+        break;
+      case 'w:numPr':
+        if (paragraph) {
+          paragraph.isListItem = true;
+        }
+        break;
+      case 'w:pStyle':
+        if (paragraph && /w:val="[^"]*List[^"]*"/i.test(attributes)) {
+          paragraph.isListItem = true;
+        }
+        break;
+      case 'w:tbl':
+        tables.push({ rows: [], row: null, cell: null });
+        break;
+      case 'w:tr':
+        if (tables.length) {
+          tables[tables.length - 1].row = [];
+        }
+        break;
+      case 'w:tc':
+        if (tables.length) {
+          tables[tables.length - 1].cell = [];
+        }
+        break;
+    }
+  }
+
+  // Collapse runs of blank lines left by spacing paragraphs
+  return lines
+    .join('\n')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Tab stops declared in <w:tabs> paragraph properties are not tab characters
+ */
+function isInsideProperties(xml, index) {
+  const lastTabsOpen = xml.lastIndexOf('<w:tabs>', index);
+  const lastTabsClose = xml.lastIndexOf('</w:tabs>', index);
+  return lastTabsOpen !== -1 && lastTabsOpen > lastTabsClose;
+}
+
+/**
+ * Decode the XML entities used by Word
+ */
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+module.exports = {
+  parseDocx,
+  documentXmlToText,
+};
@@ -0,0 +1,462 @@
+const fs = require('fs').promises;
+
+// A column gutter must be at least this many times the median text height wide
+const GUTTER_WIDTH_FACTOR = 1.5;
+// Share of lines allowed to cross a gutter (full-width text such as a header or footer)
+const GUTTER_MAX_COVERAGE = 0.25;
+// Both sides of a gutter need at least this many line segments to count as columns
+const MIN_COLUMN_LINES = 3;
+// Baseline-to-baseline distance of single-spaced text, relative to the text height
+const LINE_SPACING = 1.2;
+// A vertical gap larger than this many single-spaced lines starts a new paragraph
+const PARAGRAPH_GAP_FACTOR = 1.5;
+
+/**
+ * Parser: pdfjs-dist with layout reconstruction
+ *
+ * Uses each text item's position instead of joining items in content-stream order:
+ * items are grouped into lines by y-coordinate, column gutters are detected from the
+ * horizontal gaps shared by most lines, and each multi-column block is emitted one column
+ * at a time so two-column resumes read top-to-bottom per column.
+ *
+ * @param {string|Buffer} input - File path or buffer
+ * @returns {Promise<Object>} Parsing result in the same shape as parseWithPdfJs
+ */
+async function parseWithPdfJsLayout(input) {
+  const pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js');
+  const startTime = Date.now();
+  let pdfDocument = null;
+
+  try {
+    let dataBuffer;
+    if (typeof input === 'string') {
+      dataBuffer = await fs.readFile(input);
+    } else {
+      dataBuffer = input;
+    }
+
+    const loadingTask = pdfjsLib.getDocument({
+      data: new Uint8Array(dataBuffer),
+      useSystemFonts: true,
+    });
+
+    pdfDocument = await loadingTask.promise;
+    const numPages = pdfDocument.numPages;
+    const pages = [];
+    const columnsPerPage = [];
+    const links = [];
+    let firstPageLines = [];
+
+    for (let pageNum = 1; pageNum <= numPages; pageNum++) {
+      const page = await pdfDocument.getPage(pageNum);
+      const textContent = await page.getTextContent();
+      const layout = reconstructPageText(textContent.items);
+      pages.push(layout.text);
+      columnsPerPage.push(layout.columns);
+      if (pageNum === 1) {
+        firstPageLines = readTextLines(textContent.items, page.view);
+      }
+      links.push(...await readPageLinks(page, textContent.items, pageNum));
+    }
+
+    const metadata = await pdfDocument.getMetadata();
+
+    return {
+      success: true,
+      parser: 'pdfjs-layout',
+      text: pages.filter(text => text).join('\n\n'),
+      numPages,
+      metadata: { ...metadata.info, columnsPerPage },
+      firstPageLines,
+      links: uniqueLinks(links),
+      parsingTime: Date.now() - startTime,
+    };
+  } catch (error) {
+    return {
+      success: false,
+      parser: 'pdfjs-layout',
+      error: error.message,
+      parsingTime: Date.now() - startTime,
+    };
+  } finally {
+    if (pdfDocument) {
+      await pdfDocument.destroy();
+    }
+  }
+}
+
+/**
+ * Rebuild the reading-order text of one page from pdf.js text items
+ * @param {Array<Object>} items - textContent.items (str, transform, width, height)
+ * @returns {Object} { text, columns } where columns is the largest column count found
+ */
+function reconstructPageText(items) {
+  const words = toWords(items);
+
+  if (words.length === 0) {
+    return { text: '', columns: 0 };
+  }
+
+  const lineHeight = median(words.map(word => word.height));
+  const lines = groupIntoLines(words, lineHeight);
+  const gutters = findGutters(lines, lineHeight * GUTTER_WIDTH_FACTOR);
+
+  // Walk the page top to bottom; lines crossing a gutter end the current column block
+  const output = [];
+  let block = null;
+  const flushBlock = () => {
+    if (block) {
+      block.forEach(column => output.push(...column));
+      block = null;
+    }
+  };
+
+  // Gutters may hold a little text, so a line only spans the gutter if it runs from the left
+  // half of the gutter into the next column
+  lines.forEach(line => {
+    const crossesGutter = gutters.some(gutter =>
+      line.words.some(word => word.x < gutter.middle && word.x + word.width > gutter.end)
+    );
+
+    if (gutters.length === 0 || crossesGutter) {
+      flushBlock();
+      output.push({ y: line.y, text: joinWords(line.words, lineHeight) });
+      return;
+    }
+
+    if (!block) {
+      block = Array.from({ length: gutters.length + 1 }, () => []);
+    }
+    const segments = Array.from({ length: gutters.length + 1 }, () => []);
+    line.words.forEach(word => {
+      const column = gutters.filter(gutter => word.x >= gutter.middle).length;
+      segments[column].push(word);
+    });
+    segments.forEach((segment, column) => {
+      if (segment.length > 0) {
+        block[column].push({ y: line.y, text: joinWords(segment, lineHeight) });
+      }
+    });
+  });
+  flushBlock();
+
+  return {
+    text: joinLines(output, lineHeight),
+    columns: gutters.length + 1,
+  };
+}
+
+/**
+ * Read the lines of one page with their font size and position
+ * Text on one baseline separated by a gutter-wide gap (a name on the left, contact details
+ * on the right) becomes separate lines.
+ * @param {Array<Object>} items - textContent.items
+ * @param {Array<number>} view - Page box [x1, y1, x2, y2] (page.view)
+ * @returns {Array<Object>} { text, fontSize, top }, top of the page first; top is the distance
+ *                          from the top edge as a share of the page height (0 to 1)
+ */
+function readTextLines(items, view) {
+  const words = toWords(items);
+  if (words.length === 0) {
+    return [];
+  }
+
+  const [, bottom, , top] = view;
+  const pageHeight = top - bottom;
+  const lineHeight = median(words.map(word => word.height));
+  const gapWidth = lineHeight * GUTTER_WIDTH_FACTOR;
+  const lines = [];
+
+  groupIntoLines(words, lineHeight).forEach(line => {
+    let segment = [];
+    const flush = () => {
+      const text = joinWords(segment, lineHeight);
+      if (text) {
+        lines.push({
+          text,
+          fontSize: Math.round(Math.max(...segment.map(word => word.height)) * 10) / 10,
+          top: pageHeight > 0 ? Math.round((top - line.y) / pageHeight * 1000) / 1000 : null,
+        });
+      }
+      segment = [];
+    };
+
+    line.words.forEach(word => {
+      const previous = segment[segment.length - 1];
+      if (previous && word.x - (previous.x + previous.width) > gapWidth) {
+        flush();
+      }
+      segment.push(word);
+    });
+    flush();
+  });
+
+  return lines;
+}
+
+/**
+ * Read the link annotations of one page
+ * Resumes often show "LinkedIn" or "Portfolio" as the text and keep the URL only in the link.
+ * @param {Object} page - pdf.js page
+ * @param {Array<Object>} items - The page's textContent.items, used to find the link text
+ * @param {number} pageNum - Page number
+ * @returns {Promise<Array<Object>>} { url, text, page } for web, mailto and other URI links;
+ *                                   text is what the link covers on the page, or null;
+ *                                   empty when the annotations cannot be read
+ */
+async function readPageLinks(page, items, pageNum) {
+  let annotations;
+  try {
+    annotations = await page.getAnnotations();
+  } catch (error) {
+    // Links are a hint; a broken annotation dictionary must not fail the parse
+    console.error(`Could not read links on page ${pageNum}: ${error.message}`);
+    return [];
+  }
+  const words = toWords(items);
+
+  return annotations
+    .filter(annotation => annotation.subtype === 'Link')
+    .map(annotation => ({
+      // pdf.js only fills url for valid absolute URLs; "linkedin.com/in/jane" lacks the scheme
+      url: annotation.url || withDefaultScheme(annotation.unsafeUrl),
+      rect: annotation.rect,
+    }))
+    .filter(link => link.url)
+    .map(link => ({ url: link.url, text: anchorText(words, link.rect), page: pageNum }));
+}
+
+/**
+ * Turn a scheme-less web address into an https URL
+ * @returns {string|null} URL, or null if the value does not look like a web address
+ */
+function withDefaultScheme(value) {
+  const trimmed = (value || '').trim();
+  if (!/^[\w-]+(?:\.[\w-]+)+(?:[/?#]\S*)?$/.test(trimmed)) {
+    return null;
+  }
+  return `https://${trimmed}`;
+}
+
+/**
+ * Text of the words whose middle lies inside a link rectangle
+ */
+function anchorText(words, rect) {
+  if (!rect) {
+    return null;
+  }
+  const [left, right] = [Math.min(rect[0], rect[2]), Math.max(rect[0], rect[2])];
+  const [bottom, top] = [Math.min(rect[1], rect[3]), Math.max(rect[1], rect[3])];
+  const inside = words.filter(word => {
+    const x = word.x + word.width / 2;
+    const y = word.y + word.height / 3;
+    return x >= left && x <= right && y >= bottom && y <= top;
+  });
+  if (inside.length === 0) {
+    return null;
+  }
+
+  const lineHeight = median(inside.map(word => word.height));
+  return groupIntoLines(inside, lineHeight).map(line => joinWords(line.words, lineHeight)).join(' ');
+}
+
+/**
+ * Drop repeated links (an icon and its label often link to the same URL), keeping the first
+ * one with text
+ */
+function uniqueLinks(links) {
+  const byUrl = new Map();
+  links.forEach(link => {
+    const existing = byUrl.get(link.url);
+    if (!existing) {
+      byUrl.set(link.url, link);
+    } else if (!existing.text && link.text) {
+      byUrl.set(link.url, { ...link, page: existing.page });
+    }
+  });
+  return [...byUrl.values()];
+}
+
+/**
+ * Read the first-page lines and links of a PDF, for the text parsers other than pdf.js,
+ * which only return plain text
+ * @param {string|Buffer} input - File path or buffer
+ * @returns {Promise<Object>} { firstPageLines, links } as returned by readTextLines and
+ *                            readPageLinks (empty when the PDF cannot be read)
+ */
+async function readPdfHints(input) {
+  const pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js');
+  let pdfDocument = null;
+
+  try {
+    const dataBuffer = typeof input === 'string' ? await fs.readFile(input) : input;
+    pdfDocument = await pdfjsLib.getDocument({
+      data: new Uint8Array(dataBuffer),
+      useSystemFonts: true,
+    }).promise;
+
+    let firstPageLines = [];
+    const links = [];
+    for (let pageNum = 1; pageNum <= pdfDocument.numPages; pageNum++) {
+      const page = await pdfDocument.getPage(pageNum);
+      const textContent = await page.getTextContent();
+      if (pageNum === 1) {
+        firstPageLines = readTextLines(textContent.items, page.view);
+      }
+      links.push(...await readPageLinks(page, textContent.items, pageNum));
+    }
+
+    return { firstPageLines, links: uniqueLinks(links) };
+  } catch (error) {
+    console.error(`Could not read PDF layout: ${error.message}`);
+    return { firstPageLines: [], links: [] };
+  } finally {
+    if (pdfDocument) {
+      await pdfDocument.destroy();
+    }
+  }
+}
+
+/**
+ * Convert pdf.js text items to positioned words, dropping empty ones
+ */
+function toWords(items) {
+  return items
+    .filter(item => item.str && item.str.trim())
+    .map(item => ({
+      str: item.str,
+      x: item.transform[4],
+      y: item.transform[5],
+      width: item.width,
+      height: item.height || Math.abs(item.transform[3]) || 10,
+    }));
+}
+
+/**
+ * Group words into lines by baseline, top of the page first, each line sorted left to right
+ */
+function groupIntoLines(words, lineHeight) {
+  const tolerance = Math.max(2, lineHeight * 0.5);
+  const sorted = [...words].sort((a, b) => b.y - a.y || a.x - b.x);
+  const lines = [];
+
+  sorted.forEach(word => {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - word.y) <= tolerance) {
+      line.words.push(word);
+    } else {
+      lines.push({ y: word.y, words: [word] });
+    }
+  });
+
+  lines.forEach(line => line.words.sort((a, b) => a.x - b.x));
+  return lines;
+}
+
+/**
+ * Find vertical bands that almost no line has text in, with columns on both sides
+ * @param {Array<Object>} lines - Lines from groupIntoLines
+ * @param {number} minWidth - Narrowest gap that counts as a gutter
+ * @returns {Array<Object>} Gutters as { start, middle, end }, left to right
+ */
+function findGutters(lines, minWidth) {
+  const left = Math.floor(Math.min(...lines.flatMap(line => line.words.map(word => word.x))));
+  const right = Math.ceil(Math.max(...lines.flatMap(line => line.words.map(word => word.x + word.width))));
+  const coverage = new Array(Math.max(0, right - left)).fill(0);
+
+  // Merge word gaps narrower than a gutter so ordinary spacing does not leave holes
+  lines.forEach(line => {
+    const spans = [];
+    line.words.forEach(word => {
+      const last = spans[spans.length - 1];
+      if (last && word.x - last.end < minWidth) {
+        last.end = Math.max(last.end, word.x + word.width);
+      } else {
+        spans.push({ start: word.x, end: word.x + word.width });
+      }
+    });
+    spans.forEach(span => {
+      for (let x = Math.floor(span.start) - left; x < Math.ceil(span.end) - left; x++) {
+        coverage[x]++;
+      }
+    });
+  });
+
+  const maxCoverage = Math.floor(lines.length * GUTTER_MAX_COVERAGE);
+  const gutters = [];
+  let runStart = null;
+
+  for (let x = 0; x <= coverage.length; x++) {
+    const open = x < coverage.length && coverage[x] <= maxCoverage;
+    if (open && runStart === null) {
+      runStart = x;
+    } else if (!open && runStart !== null) {
+      if (x - runStart >= minWidth) {
+        gutters.push({ start: left + runStart, middle: left + (runStart + x) / 2, end: left + x });
+      }
+      runStart = null;
+    }
+  }
+
+  // Keep gutters with enough text on both sides to be real columns
+  return gutters.filter(gutter => {
+    let before = 0;
+    let after = 0;
+    lines.forEach(line => {
+      if (line.words.some(word => word.x + word.width <= gutter.start)) before++;
+      if (line.words.some(word => word.x >= gutter.end)) after++;
+    });
+    return before >= MIN_COLUMN_LINES && after >= MIN_COLUMN_LINES;
+  });
+}
+
+/**
+ * Join the words of a line, adding a space only where the gap between them is visible
+ */
+function joinWords(words, lineHeight) {
+  let text = '';
+  let previousEnd = null;
+
+  words.forEach(word => {
+    if (previousEnd !== null && word.x - previousEnd > lineHeight * 0.15
+        && !text.endsWith(' ') && !word.str.startsWith(' ')) {
+      text += ' ';
+    }
+    text += word.str;
+    previousEnd = word.x + word.width;
+  });
+
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Join lines, leaving a blank line where the vertical gap suggests a new paragraph or section
+ */
+function joinLines(lines, lineHeight) {
+  let text = '';
+
+  lines.forEach((line, index) => {
+    if (index > 0) {
+      const gap = lines[index - 1].y - line.y;
+      // A negative gap means the next column starts back at the top
+      text += gap > lineHeight * LINE_SPACING * PARAGRAPH_GAP_FACTOR || gap < 0 ? '\n\n' : '\n';
+    }
+    text += line.text;
+  });
+
+  return text.trim();
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+module.exports = {
+  parseWithPdfJsLayout,
+  reconstructPageText,
+  readTextLines,
+  readPageLinks,
+  uniqueLinks,
+  readPdfHints,
+};
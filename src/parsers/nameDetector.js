@@ -0,0 +1,270 @@
+/**
+ * Candidate name detection
+ *
+ * Picks the candidate's name from the top of the resume. With pdf.js layout lines the
+ * largest text near the top of the first page is preferred; otherwise the first lines of the
+ * text are scored. Boilerplate ("RESUME", "Curriculum Vitae"), section headings and the line
+ * below them, contact details, addresses, job titles and company names are skipped, and what
+ * is left must look like a name.
+ */
+
+const { SECTION_HEADINGS } = require('./sectionSegmenter');
+
+// Titles that open a resume instead of the name
+const BOILERPLATE_REGEX = /^(?:resume|résumé|curriculum\s+vitae|c\.?v\.?|bio[\s-]?data|profile|contact(?:\s+(?:info|information|details))?|personal\s+(?:details|information)|page\s+\d+(?:\s+of\s+\d+)?)$/i;
+
+// "Resume of Jane Doe", "CV - Jane Doe": the name follows the title
+const TITLE_PREFIX_REGEX = /^(?:resume|résumé|curriculum\s+vitae|cv)\s*(?:of\b|[-–—:|])\s*/i;
+
+// Degrees and certifications written after the name ("Jane Doe, PhD")
+const CREDENTIALS_REGEX = /,\s*(?:(?:Ph\.?D|M\.?D|MBA|CPA|CFA|PMP|P\.?E|MSc|BSc|M\.?S|B\.?S|M\.?A|B\.?A|RN)\.?,?\s*)+$/;
+
+// Words that make a line a job title rather than a name
+const JOB_TITLE_WORDS = new Set([
+  'engineer', 'engineering', 'developer', 'programmer', 'manager', 'management', 'designer',
+  'analyst', 'consultant', 'architect', 'scientist', 'specialist', 'director', 'intern',
+  'administrator', 'lead', 'senior', 'junior', 'principal', 'officer', 'coordinator',
+  'assistant', 'associate', 'executive', 'technician', 'accountant', 'teacher', 'nurse',
+  'student', 'graduate', 'founder', 'president', 'vp', 'cto', 'ceo', 'cfo', 'software',
+  'full-stack', 'fullstack', 'frontend', 'backend', 'devops', 'data', 'product', 'marketing',
+  'sales', 'recruiter', 'representative', 'professional', 'freelance', 'freelancer',
+]);
+
+// Words that make a line part of an address
+const ADDRESS_WORDS = new Set([
+  'street', 'st', 'avenue', 'ave', 'road', 'rd', 'lane', 'ln', 'drive', 'dr', 'boulevard',
+  'blvd', 'suite', 'apt', 'apartment', 'floor', 'city', 'county', 'state', 'usa', 'uk',
+  'united', 'kingdom', 'states', 'india', 'canada', 'germany', 'australia',
+]);
+
+// Words that make a line an employer or school rather than a name
+const COMPANY_WORDS = new Set([
+  'inc', 'incorporated', 'corp', 'corporation', 'co', 'company', 'ltd', 'limited', 'llc', 'llp',
+  'plc', 'gmbh', 'ag', 'group', 'holdings', 'partners', 'technologies', 'technology', 'solutions',
+  'systems', 'services', 'consulting', 'labs', 'studio', 'studios', 'agency', 'bank',
+  'foundation', 'university', 'college', 'institute', 'school', 'academy',
+]);
+
+// Lowercase words allowed inside a name ("Ludwig van Beethoven", "Maria de la Cruz")
+const NAME_PARTICLES = new Set([
+  'van', 'von', 'der', 'den', 'de', 'del', 'della', 'da', 'das', 'dos', 'du', 'di', 'la', 'le',
+  'bin', 'binti', 'ibn', 'al', 'el', 'y', 'e', 'ter', 'ten',
+]);
+
+// A capitalized word, an initial ("J." or "J") or an ALL CAPS word, with hyphens and apostrophes
+const NAME_WORD_REGEX = /^\p{Lu}[\p{L}'’-]*\.?$/u;
+
+// Text separators that put several items on one line ("Jane Doe | jane@example.com")
+const SEGMENT_SEPARATOR = /\s*[|•·]\s*|\s{3,}|\t+/;
+
+// Most names have two or three words; a single word may be a heading or a company
+const SHAPE_SCORE_BY_WORDS = { 1: 0.3, 2: 1, 3: 1, 4: 0.9, 5: 0.6 };
+const MAX_NAME_LENGTH = 40;
+// Share of the first page, from the top, where the name is looked for
+const TOP_REGION = 0.35;
+// Lines of plain text looked at when there is no layout
+const TEXT_LINES = 8;
+// Plain text has no font sizes, so its scores stay below those of a clear layout match
+const TEXT_MAX_CONFIDENCE = 0.6;
+// Candidates scoring below this are not reported
+const MIN_CONFIDENCE = 0.4;
+
+const SECTION_HEADING_NAMES = new Set(Object.values(SECTION_HEADINGS).flat());
+
+/**
+ * Whether a line is a section heading such as "Experience" or "SKILLS:"
+ */
+function isSectionHeading(text) {
+  const heading = text
+    .toLowerCase()
+    .replace(/\s*&\s*/g, ' and ')
+    .replace(/[\s:]+$/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return SECTION_HEADING_NAMES.has(heading);
+}
+
+/**
+ * Strip what may surround a name in a heading: a "Resume of" prefix, trailing credentials
+ * and punctuation
+ */
+function cleanCandidate(text) {
+  return text
+    .replace(TITLE_PREFIX_REGEX, '')
+    .replace(CREDENTIALS_REGEX, '')
+    .replace(/^[\s\-–—:,.]+|[\s\-–—:,]+$/g, '')
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Score how much a text looks like a person's name
+ * @param {string} candidate - Cleaned candidate text
+ * @returns {number} 0 (not a name) to 1 (two or three capitalized words)
+ */
+function nameShapeScore(candidate) {
+  if (candidate.length < 3 || candidate.length > MAX_NAME_LENGTH) {
+    return 0;
+  }
+  if (/[\d@/\\:;,()[\]{}<>+=_#*]|www\.|\.(?:com|org|net|io)\b/i.test(candidate)) {
+    return 0;
+  }
+
+  if (BOILERPLATE_REGEX.test(candidate) || isSectionHeading(candidate)) {
+    return 0;
+  }
+
+  const words = candidate.split(' ');
+  const bare = words.map(word => word.toLowerCase().replace(/[.'’]/g, ''));
+  if (bare.some(word => JOB_TITLE_WORDS.has(word) || ADDRESS_WORDS.has(word) || COMPANY_WORDS.has(word))) {
+    return 0;
+  }
+
+  const first = words[0];
+  const last = words[words.length - 1];
+  const wordsValid = words.every(word => NAME_WORD_REGEX.test(word) || NAME_PARTICLES.has(word));
+  if (!wordsValid || !NAME_WORD_REGEX.test(first) || !NAME_WORD_REGEX.test(last)) {
+    return 0;
+  }
+  // A name is not only initials
+  if (words.every(word => word.replace(/\./g, '').length <= 1)) {
+    return 0;
+  }
+
+  const nameWords = words.filter(word => !NAME_PARTICLES.has(word)).length;
+  return SHAPE_SCORE_BY_WORDS[nameWords] || 0;
+}
+
+/**
+ * Split a line into its candidate segments
+ */
+function candidatesOf(text) {
+  return text
+    .split(SEGMENT_SEPARATOR)
+    .map(cleanCandidate)
+    .filter(candidate => candidate);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Score the lines near the top of the first page by font size, name shape and position
+ */
+function detectFromLayout(lines) {
+  const bodySize = median(lines.map(line => line.fontSize));
+  const maxSize = Math.max(...lines.map(line => line.fontSize));
+  let best = null;
+
+  // The first line below a heading starts that section's content ("Experience" / "Acme Corp")
+  const belowHeadings = new Set();
+  lines.forEach((line, index) => {
+    if (isSectionHeading(line.text)) {
+      const below = lines
+        .slice(index + 1)
+        .find(other => other.top === null || line.top === null || other.top > line.top);
+      if (below) {
+        belowHeadings.add(below);
+      }
+    }
+  });
+
+  lines
+    .filter(line => line.top === null || line.top <= TOP_REGION)
+    .filter(line => !belowHeadings.has(line))
+    .forEach(line => {
+      // 1 for the largest text on the page, 0 for body text and smaller
+      const font = maxSize > bodySize ? Math.max(0, (line.fontSize - bodySize) / (maxSize - bodySize)) : 0;
+      const position = line.top === null ? 0.5 : 1 - line.top / TOP_REGION;
+
+      candidatesOf(line.text).forEach(candidate => {
+        const shape = nameShapeScore(candidate);
+        if (shape === 0) {
+          return;
+        }
+        const score = 0.45 * font + 0.35 * shape + 0.2 * position;
+        if (!best || score > best.score) {
+          best = { name: candidate, score };
+        }
+      });
+    });
+
+  return best;
+}
+
+/**
+ * Score the first lines of plain text by name shape and position
+ */
+function detectFromText(text) {
+  const lines = (text || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0)
+    .slice(0, TEXT_LINES);
+  let best = null;
+
+  lines.forEach((line, index) => {
+    // The line below a heading is that section's content ("Experience" / "Acme Corp")
+    if (index > 0 && isSectionHeading(lines[index - 1])) {
+      return;
+    }
+    const position = 1 - index / TEXT_LINES;
+    candidatesOf(line).forEach(candidate => {
+      const shape = nameShapeScore(candidate);
+      if (shape === 0) {
+        return;
+      }
+      const score = TEXT_MAX_CONFIDENCE * (0.6 * shape + 0.4 * position);
+      if (!best || score > best.score) {
+        best = { name: candidate, score };
+      }
+    });
+  });
+
+  return best;
+}
+
+/**
+ * Detect the candidate's name
+ * @param {string} text - Resume text
+ * @param {Object} options - Options
+ * @param {Array<Object>} options.lines - First-page lines with { text, fontSize, top } from the
+ *                                        pdf.js parsers (see readTextLines); without them only
+ *                                        the text is used
+ * @returns {Object} { name, confidence, source } where confidence is 0 to 1 and source is
+ *                   'layout' or 'text'; name and source are null when nothing looks like a name
+ */
+function detectName(text, options = {}) {
+  const { lines } = options;
+  const candidates = [];
+
+  if (Array.isArray(lines) && lines.length > 0) {
+    const layout = detectFromLayout(lines);
+    if (layout) {
+      candidates.push({ ...layout, source: 'layout' });
+    }
+  }
+  const plain = detectFromText(text);
+  if (plain) {
+    candidates.push({ ...plain, source: 'text' });
+  }
+
+  const best = candidates
+    .filter(candidate => candidate.score >= MIN_CONFIDENCE)
+    .sort((a, b) => b.score - a.score)[0];
+
+  if (!best) {
+    return { name: null, confidence: 0, source: null };
+  }
+  return {
+    name: best.name,
+    confidence: Math.round(best.score * 100) / 100,
+    source: best.source,
+  };
+}
+
+module.exports = {
+  detectName,
+  nameShapeScore,
+};
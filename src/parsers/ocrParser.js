@@ -1,40 +1,91 @@
 const Tesseract = require('tesseract.js');
 const { pdfToPng } = require('pdf-to-png-converter');
+const UTIF = require('utif');
+const { createCanvas } = require('@napi-rs/canvas');
 const fs = require('fs').promises;
 const path = require('path');
 
-// Reusable Tesseract worker for better performance
-let workerInstance = null;
-let workerLanguage = null;
+// Languages Tesseract has traineddata for (eng, deu, chi_sim, ...)
+const OCR_LANGUAGES = new Set(Object.values(Tesseract.languages));
+
+// Reusable Tesseract workers for better performance, one per language so a request in
+// another language never terminates a worker that is still recognizing
+const workers = new Map();
+
+/**
+ * Check an OCR language: a Tesseract language code, or several joined with '+' (eng+hin)
+ * @param {string} language - OCR language
+ * @returns {boolean} Whether every code has Tesseract traineddata
+ */
+function isSupportedOcrLanguage(language) {
+  return typeof language === 'string'
+    && language.split('+').every(code => OCR_LANGUAGES.has(code));
+}
 
 /**
- * Get or create a Tesseract worker
+ * Create a Tesseract worker
+ *
+ * Without an errorHandler tesseract.js rethrows worker errors as uncaught exceptions, and a
+ * language that fails to load never settles createWorker, so the handler rejects instead.
+ * @param {string} language - OCR language
+ * @param {Object} options - tesseract.js worker options (logger, ...)
+ * @returns {Promise<Worker>} Tesseract worker
+ */
+function createWorker(language, options = {}) {
+  if (!isSupportedOcrLanguage(language)) {
+    return Promise.reject(new Error(`Unsupported OCR language '${language}'`));
+  }
+
+  // An undefined logger would replace tesseract.js's default no-op logger
+  const { logger, ...workerOptions } = options;
+
+  return new Promise((resolve, reject) => {
+    Tesseract.createWorker(language, 1, {
+      ...workerOptions,
+      ...(logger ? { logger } : {}),
+      errorHandler: (error) => {
+        const message = error instanceof Error ? error.message : String(error);
+        reject(new Error(`Tesseract worker for '${language}' failed: ${message}`));
+      },
+    }).then(resolve, reject);
+  });
+}
+
+/**
+ * Get or create the shared Tesseract worker for a language
  * @param {string} language - OCR language
  * @returns {Promise<Worker>} Tesseract worker
  */
 async function getWorker(language = 'eng') {
-  if (!workerInstance || workerLanguage !== language) {
-    // Clean up old worker if language changed
-    if (workerInstance) {
-      await workerInstance.terminate();
-    }
-    
-    workerInstance = await Tesseract.createWorker(language);
-    workerLanguage = language;
+  if (!workers.has(language)) {
+    const created = createWorker(language);
+    workers.set(language, created);
+    // A worker that could not start is not kept, so the next call tries again
+    created.catch(() => {
+      if (workers.get(language) === created) {
+        workers.delete(language);
+      }
+    });
   }
-  
-  return workerInstance;
+
+  return workers.get(language);
 }
 
 /**
- * Terminate the worker (call when done with all OCR operations)
+ * Terminate the workers (call when done with all OCR operations)
  */
 async function terminateWorker() {
-  if (workerInstance) {
-    await workerInstance.terminate();
-    workerInstance = null;
-    workerLanguage = null;
-  }
+  const pending = [...workers.values()];
+  workers.clear();
+
+  await Promise.all(pending.map(async created => {
+    try {
+      const worker = await created;
+      await worker.terminate();
+    } catch (error) {
+      // The worker never started, so there is nothing to terminate
+    }
+  }));
 }
 
 /**
@@ -97,7 +148,7 @@ async function performOCR(pdfPath, options = {}) {
     // Step 2: Get or create Tesseract worker
     const worker = reuseWorker 
       ? await getWorker(language)
-      : await Tesseract.createWorker(language, 1, {
+      : await createWorker(language, {
           logger: verbose ? (m) => {
             if (m.status === 'recognizing text') {
               console.log(`   ${m.status}: ${Math.round(m.progress * 100)}%`);
@@ -211,6 +262,157 @@ async function performOCR(pdfPath, options = {}) {
   }
 }
 
+/**
+ * Perform OCR directly on an image resume (PNG, JPEG or TIFF)
+ * Images go straight to the Tesseract worker without the PDF-to-PNG step.
+ * Each page of a multi-page TIFF is recognized separately.
+ * @param {string|Buffer} input - Path to image file or buffer
+ * @param {Object} options - OCR options
+ * @param {string} options.language - OCR language (default: 'eng')
+ * @param {boolean} options.verbose - Show detailed progress
+ * @returns {Promise<Object>} OCR result with text and per-page confidence
+ */
+async function performImageOCR(input, options = {}) {
+  const startTime = Date.now();
+  const { language = 'eng', verbose = false } = options;
+
+  try {
+    console.log('🔍 Starting OCR on image...');
+
+    let imageBuffer;
+    if (typeof input === 'string') {
+      imageBuffer = await fs.readFile(input);
+    } else {
+      imageBuffer = input;
+    }
+
+    // Tesseract only reads the first page of a TIFF, so split pages up front
+    const images = isTiff(imageBuffer) ? splitTiffPages(imageBuffer) : [imageBuffer];
+    if (images.length === 0) {
+      throw new Error('No pages could be decoded from image');
+    }
+
+    const conversionTime = Date.now() - startTime;
+    if (images.length > 1) {
+      console.log(`✓ Split TIFF into ${images.length} page(s) in ${conversionTime}ms`);
+    }
+
+    const worker = await getWorker(language);
+    const workerTime = Date.now() - startTime;
+
+    let fullText = '';
+    const pageResults = [];
+
+    for (let i = 0; i < images.length; i++) {
+      const pageStartTime = Date.now();
+      if (verbose) {
+        console.log(`🔤 Processing page ${i + 1}/${images.length} with OCR...`);
+      }
+
+      try {
+        const result = await worker.recognize(images[i]);
+        const pageTime = Date.now() - pageStartTime;
+
+        pageResults.push({
+          page: i + 1,
+          text: result.data.text,
+          confidence: result.data.confidence,
+          timeMs: pageTime,
+        });
+
+        fullText += result.data.text + '\n\n';
+        console.log(`✓ Page ${i + 1} completed in ${pageTime}ms (confidence: ${result.data.confidence.toFixed(2)}%)`);
+      } catch (pageError) {
+        console.error(`❌ Error processing page ${i + 1}:`, pageError.message);
+        pageResults.push({
+          page: i + 1,
+          text: '',
+          confidence: 0,
+          error: pageError.message,
+        });
+      }
+    }
+
+    const validResults = pageResults.filter(p => !p.error);
+    if (validResults.length === 0) {
+      throw new Error(`OCR failed on every page: ${pageResults[0].error}`);
+    }
+
+    const avgConfidence = validResults.reduce((sum, p) => sum + p.confidence, 0) / validResults.length;
+    const parsingTime = Date.now() - startTime;
+
+    console.log(`✅ Image OCR complete in ${parsingTime}ms (average confidence: ${avgConfidence.toFixed(1)}%)`);
+
+    return {
+      success: true,
+      parser: 'tesseract-ocr',
+      text: fullText.trim(),
+      numPages: images.length,
+      parsingTime,
+      pageResults,
+      averageConfidence: avgConfidence,
+      metadata: {
+        language,
+        source: 'image',
+        timing: {
+          conversionMs: conversionTime,
+          ocrMs: parsingTime - workerTime,
+          totalMs: parsingTime,
+          perPageMs: Math.round(parsingTime / images.length),
+        },
+      },
+    };
+  } catch (error) {
+    return {
+      success: false,
+      parser: 'tesseract-ocr',
+      error: error.message,
+      parsingTime: Date.now() - startTime,
+    };
+  }
+}
+
+/**
+ * Check for the TIFF byte-order header ("II*\0" or "MM\0*")
+ * @param {Buffer} buffer - Image data
+ * @returns {boolean} True if the buffer holds a TIFF
+ */
+function isTiff(buffer) {
+  if (buffer.length < 4) {
+    return false;
+  }
+  const header = buffer.subarray(0, 4).toString('binary');
+  return header === 'II*\0' || header === 'MM\0*';
+}
+
+/**
+ * Decode every page of a TIFF and re-encode each as PNG for Tesseract
+ * @param {Buffer} buffer - TIFF data
+ * @returns {Array<Buffer>} One PNG buffer per page
+ */
+function splitTiffPages(buffer) {
+  const ifds = UTIF.decode(buffer);
+  const pages = [];
+
+  ifds.forEach(ifd => {
+    UTIF.decodeImage(buffer, ifd);
+    // Directories without dimensions are metadata, not pages
+    if (!ifd.width || !ifd.height) {
+      return;
+    }
+
+    const rgba = UTIF.toRGBA8(ifd);
+    const canvas = createCanvas(ifd.width, ifd.height);
+    const context = canvas.getContext('2d');
+    const imageData = context.createImageData(ifd.width, ifd.height);
+    imageData.data.set(rgba);
+    context.putImageData(imageData, 0, 0);
+    pages.push(canvas.toBuffer('image/png'));
+  });
+
+  return pages;
+}
+
 /**
  * Check if a PDF needs OCR (has minimal text)
  * @param {string} text - Extracted text from regular parsing
@@ -411,9 +613,11 @@ async function smartParse(pdfPath, regularParser, options = {}) {
 
 module.exports = {
   performOCR,
+  performImageOCR,
   needsOCR,
   smartParse,
   hybridParse,
   terminateWorker,
   getWorker,
+  isSupportedOcrLanguage,
 };
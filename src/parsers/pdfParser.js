@@ -1,5 +1,10 @@
 const fs = require('fs').promises;
 const pdf = require('pdf-parse');
+const { segmentSections, getSectionText } = require('./sectionSegmenter');
+const { matchSkills } = require('./skillTaxonomy');
+const { parseDateRange, normalizeDateRange, totalMonths, monthsToYears } = require('./dateParser');
+const { extractEmails, extractPhones } = require('./contactParser');
+const { detectName } = require('./nameDetector');
 
 /**
  * Parse PDF file and extract text content
@@ -42,14 +47,29 @@ async function parsePDF(input) {
 /**
  * Extract structured information from resume text
  * @param {string} text - Raw text from PDF
+ * @param {Object} options - Options
+ * @param {string} options.phoneRegion - Default country for phone numbers, see extractPhones
+ * @param {Array<Object>} options.textLines - First-page lines with font size and position from
+ *                                            the pdf.js parsers, used to find the name
+ * @param {Array<Object>} options.links - Link annotations ({ url }) from the pdf.js parsers
  * @returns {Object} Structured resume data
  */
-function extractResumeData(text) {
+function extractResumeData(text, options = {}) {
+  const sections = segmentSections(text);
+  const experience = extractWorkExperience(text, sections);
+  const experienceMonths = totalMonths(experience.map(entry => entry.dates));
+
   const resumeData = {
-    contact: extractContactInfo(text),
-    skills: extractSkills(text),
-    experience: extractWorkExperience(text),
-    education: extractEducation(text),
+    contact: extractContactInfo(text, options),
+    skills: extractSkills(text, sections),
+    experience,
+    education: extractEducation(text, sections),
+    // Non-overlapping time across all positions, as of parsing
+    totalExperienceMonths: experienceMonths,
+    totalExperienceYears: monthsToYears(experienceMonths),
+    sections: sections.map(({ type, heading, start, contentStart, end }) => ({
+      type, heading, start, contentStart, end,
+    })),
   };
 
   return resumeData;
@@ -57,49 +77,74 @@ function extractResumeData(text) {
 
 /**
  * Extract contact information (email, phone, LinkedIn, etc.)
+ * email and phone hold the first address and the first non-fax number; emails and phones
+ * list all of them with a label guessed from context. nameConfidence (0 to 1) says how sure
+ * the name detection is, see detectName. Link annotations count as well: mailto links add
+ * email addresses, and web links are searched for LinkedIn, GitHub and website URLs after the text.
+ * @param {string} text - Resume text
+ * @param {Object} options - Options
+ * @param {string} options.phoneRegion - Default country for phone numbers, see extractPhones
+ * @param {Array<Object>} options.textLines - First-page lines with font size and position
+ * @param {Array<Object>} options.links - Link annotations ({ url })
  */
-function extractContactInfo(text) {
+function extractContactInfo(text, options = {}) {
   const contact = {
     email: null,
     phone: null,
+    emails: [],
+    phones: [],
     linkedin: null,
     github: null,
     website: null,
     location: null,
     name: null,
+    nameConfidence: 0,
   };
 
-  // Extract email
-  const emailRegex = /[\w\.-]+@[\w\.-]+\.\w+/gi;
-  const emailMatch = text.match(emailRegex);
-  if (emailMatch) {
-    contact.email = emailMatch[0];
+  const links = options.links || [];
+  const webLinks = links.map(link => link.url).filter(url => /^https?:\/\//i.test(url));
+  const mailtoAddresses = links
+    .filter(link => /^mailto:/i.test(link.url))
+    .map(link => safeDecode(link.url.slice('mailto:'.length).split('?')[0]));
+  // Link URLs go after the text, so what the resume shows wins
+  const searchText = [text, ...webLinks].join('\n');
+
+  // Extract emails, then addresses only found in mailto links
+  contact.emails = extractEmails(text);
+  extractEmails(mailtoAddresses.join('\n')).forEach(email => {
+    const address = email.address.toLowerCase();
+    if (!contact.emails.some(known => known.address.toLowerCase() === address)) {
+      contact.emails.push(email);
+    }
+  });
+  if (contact.emails.length > 0) {
+    contact.email = contact.emails[0].address;
   }
 
-  // Extract phone (various formats)
-  const phoneRegex = /(\+?\d{1,3}[-.\s]?)?\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}/g;
-  const phoneMatch = text.match(phoneRegex);
-  if (phoneMatch) {
-    contact.phone = phoneMatch[0];
+  // Extract phones, normalized to E.164
+  contact.phones = extractPhones(text, { defaultRegion: options.phoneRegion });
+  const primaryPhone = contact.phones.find(phone => phone.label !== 'fax');
+  if (primaryPhone) {
+    contact.phone = primaryPhone.number;
   }
 
   // Extract LinkedIn
   const linkedinRegex = /(linkedin\.com\/in\/[\w-]+)/gi;
-  const linkedinMatch = text.match(linkedinRegex);
+  const linkedinMatch = searchText.match(linkedinRegex);
   if (linkedinMatch) {
     contact.linkedin = `https://${linkedinMatch[0].replace('https://', '').replace('http://', '')}`;
   }
 
   // Extract GitHub
   const githubRegex = /(github\.com\/[\w-]+)/gi;
-  const githubMatch = text.match(githubRegex);
+  const githubMatch = searchText.match(githubRegex);
   if (githubMatch) {
     contact.github = `https://${githubMatch[0].replace('https://', '').replace('http://', '')}`;
   }
 
   // Extract website/portfolio
   const websiteRegex = /(https?:\/\/[\w\.-]+\.\w+[\w\/-]*)/gi;
-  const websiteMatches = text.match(websiteRegex);
+  const websiteMatches = searchText.match(websiteRegex);
   if (websiteMatches) {
     // Filter out LinkedIn and GitHub URLs
     const websites = websiteMatches.filter(
@@ -110,73 +155,50 @@ function extractContactInfo(text) {
     }
   }
 
-  // Extract name (assume first non-empty line is name)
-  const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
-  if (lines.length > 0) {
-    // Usually the name is at the top, before contact info
-    const firstLine = lines[0];
-    // Check if it's not an email or phone number
-    if (!emailRegex.test(firstLine) && !phoneRegex.test(firstLine)) {
-      contact.name = firstLine;
-    }
-  }
+  // Extract name: large text near the top of the first page, or the first name-like line
+  const detected = detectName(text, { lines: options.textLines });
+  contact.name = detected.name;
+  contact.nameConfidence = detected.confidence;
 
   return contact;
 }
 
 /**
- * Extract skills from resume text
+ * Decode a percent-encoded URL part, leaving malformed input as it is
  */
-function extractSkills(text) {
-  const skills = [];
-  
-  // Common skill keywords
-  const skillKeywords = [
-    'JavaScript', 'Python', 'Java', 'C\\+\\+', 'C#', 'Ruby', 'PHP', 'Swift', 'Kotlin', 'Go', 'Rust',
-    'React', 'Angular', 'Vue', 'Node\\.js', 'Express', 'Django', 'Flask', 'Spring', 'ASP\\.NET',
-    'HTML', 'CSS', 'TypeScript', 'SQL', 'MongoDB', 'PostgreSQL', 'MySQL', 'Redis', 'Docker',
-    'Kubernetes', 'AWS', 'Azure', 'GCP', 'Git', 'Jenkins', 'CI/CD', 'Agile', 'Scrum',
-    'TensorFlow', 'PyTorch', 'Machine Learning', 'Data Analysis', 'REST API', 'GraphQL',
-    'Microservices', 'Linux', 'Bash', 'Shell Scripting'
-  ];
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
 
+/**
+ * Extract skills from resume text, using the skill taxonomy (see skillTaxonomy.js)
+ * @param {string} text - Resume text
+ * @param {Array<Object>} sections - Output of segmentSections (computed when omitted)
+ */
+function extractSkills(text, sections = segmentSections(text)) {
   // Look for skills section
-  const skillsSectionRegex = /(?:Skills|Technical Skills|Core Competencies)[:\s]+([\s\S]*?)(?:\n\n|Experience|Education|Projects|$)/i;
-  const skillsSection = text.match(skillsSectionRegex);
-
-  if (skillsSection) {
-    const skillText = skillsSection[1];
-    skillKeywords.forEach(keyword => {
-      const regex = new RegExp(keyword, 'gi');
-      if (regex.test(skillText)) {
-        skills.push(keyword.replace(/\\./g, '.').replace(/\\/g, ''));
-      }
-    });
-  } else {
-    // If no skills section, search entire text
-    skillKeywords.forEach(keyword => {
-      const regex = new RegExp(keyword, 'gi');
-      if (regex.test(text)) {
-        skills.push(keyword.replace(/\\./g, '.').replace(/\\/g, ''));
-      }
-    });
-  }
+  const skillText = getSectionText(sections, 'skills');
 
-  return [...new Set(skills)]; // Remove duplicates
+  // If no skills section, search entire text
+  return matchSkills(skillText !== null ? skillText : text);
 }
 
 /**
  * Extract work experience from resume text
+ * @param {string} text - Resume text
+ * @param {Array<Object>} sections - Output of segmentSections (computed when omitted)
  */
-function extractWorkExperience(text) {
+function extractWorkExperience(text, sections = segmentSections(text)) {
   const experiences = [];
   
   // Look for experience section
-  const experienceRegex = /(?:Experience|Work Experience|Professional Experience)[:\s]+([\s\S]*?)(?:Education|Skills|Projects|$)/i;
-  const experienceSection = text.match(experienceRegex);
+  const expText = getSectionText(sections, 'experience');
 
-  if (experienceSection) {
-    const expText = experienceSection[1];
+  if (expText !== null) {
     
     // Try to identify job entries (this is a simple heuristic)
     const lines = expText.split('\n').filter(line => line.trim().length > 0);
@@ -184,10 +206,10 @@ function extractWorkExperience(text) {
     let currentExp = null;
     
     lines.forEach(line => {
-      // Check if line looks like a date range (e.g., "2020 - 2023", "Jan 2020 - Present")
-      const dateRegex = /(\d{4}|(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\s+\d{4})\s*[-–—]\s*(\d{4}|Present|Current|(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\s+\d{4})/i;
+      // Check if line holds a date range (e.g., "2020 - 2023", "Jan 2020 - Present", "Summer 2021")
+      const range = parseDateRange(line);
       
-      if (dateRegex.test(line)) {
+      if (range && range.start) {
         if (currentExp) {
           experiences.push(currentExp);
         }
@@ -196,6 +218,8 @@ function extractWorkExperience(text) {
           title: '',
           dates: line.trim(),
           description: '',
+          // ISO start and end dates and duration in months
+          ...normalizeDateRange(line),
         };
       } else if (currentExp) {
         // Add to description
@@ -219,16 +243,16 @@ function extractWorkExperience(text) {
 
 /**
  * Extract education from resume text
+ * @param {string} text - Resume text
+ * @param {Array<Object>} sections - Output of segmentSections (computed when omitted)
  */
-function extractEducation(text) {
+function extractEducation(text, sections = segmentSections(text)) {
   const education = [];
   
   // Look for education section
-  const educationRegex = /(?:Education|Academic Background)[:\s]+([\s\S]*?)(?:Experience|Skills|Projects|$)/i;
-  const educationSection = text.match(educationRegex);
+  const eduText = getSectionText(sections, 'education');
 
-  if (educationSection) {
-    const eduText = educationSection[1];
+  if (eduText !== null) {
     
     // Common degree keywords
     const degreeRegex = /(Bachelor|Master|PhD|B\.S\.|M\.S\.|B\.A\.|M\.A\.|MBA|Associate)/i;
@@ -268,6 +292,37 @@ function extractEducation(text) {
   return education;
 }
 
+/**
+ * Extract a stated number of years of experience ("5+ years of experience",
+ * "3-5 yrs of professional experience")
+ * Works for both resumes (claimed) and job descriptions (required).
+ * @returns {number|null} Largest stated minimum, or null if none is stated
+ */
+function extractYearsOfExperience(text) {
+  const yearsRegex = /(\d{1,2})\s*\+?\s*(?:(?:-|–|to)\s*\d{1,2}\s*\+?\s*)?(?:years?|yrs?)\.?(?:\s+of)?(?:\s+[\w-]+){0,3}?\s+experience/gi;
+  let years = null;
+  let match;
+
+  while ((match = yearsRegex.exec(text)) !== null) {
+    const value = parseInt(match[1]);
+    if (years === null || value > years) {
+      years = value;
+    }
+  }
+
+  return years;
+}
+
+/**
+ * Estimate total years of experience from the date ranges of extracted work experience
+ * Overlapping positions are only counted once.
+ * @param {Array<Object>} experience - Result of extractWorkExperience
+ * @returns {number|null} Years rounded to one decimal, or null if no dates could be read
+ */
+function estimateExperienceYears(experience) {
+  return monthsToYears(totalMonths((experience || []).map(entry => entry.dates)));
+}
+
 module.exports = {
   parsePDF,
   extractResumeData,
@@ -275,4 +330,7 @@ module.exports = {
   extractSkills,
   extractWorkExperience,
   extractEducation,
+  extractYearsOfExperience,
+  parseDateRange,
+  estimateExperienceYears,
 };
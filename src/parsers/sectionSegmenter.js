@@ -0,0 +1,201 @@
+/**
+ * Resume section segmentation
+ *
+ * Finds section headings ("Work Experience", "EDUCATION", "Skills:") and splits the text
+ * into sections, so each extractor reads only its own part of the resume.
+ */
+
+// Heading synonyms per section type, matched case-insensitively.
+// "and" also matches "&", and any whitespace may separate the words.
+const SECTION_HEADINGS = {
+  summary: [
+    'summary', 'professional summary', 'career summary', 'executive summary', 'profile',
+    'professional profile', 'objective', 'career objective', 'about me',
+  ],
+  experience: [
+    'experience', 'work experience', 'professional experience', 'relevant experience',
+    'employment', 'employment history', 'work history', 'career history', 'professional background',
+  ],
+  education: [
+    'education', 'academic background', 'academic history', 'educational background',
+    'academic qualifications', 'education and training',
+  ],
+  skills: [
+    'skills', 'technical skills', 'key skills', 'core skills', 'skill set', 'skillset',
+    'core competencies', 'competencies', 'technologies', 'tools and technologies',
+    'technical proficiencies', 'programming languages',
+  ],
+  projects: ['projects', 'personal projects', 'key projects', 'academic projects'],
+  certifications: [
+    'certifications', 'certificates', 'licenses and certifications', 'certifications and licenses',
+  ],
+  awards: ['awards', 'honors', 'honors and awards', 'awards and honors', 'achievements'],
+  publications: ['publications'],
+  languages: ['languages'],
+  volunteer: ['volunteer experience', 'volunteering', 'volunteer work'],
+  interests: ['interests', 'hobbies', 'hobbies and interests'],
+  references: ['references'],
+};
+
+// Compiled heading patterns, per dictionary
+const headingPatterns = new WeakMap();
+
+/**
+ * Build one regex matching any heading synonym, longest first so "Work Experience"
+ * wins over "Experience", and a lookup from the normalized heading to its type
+ */
+function compileHeadings(headings) {
+  if (headingPatterns.has(headings)) {
+    return headingPatterns.get(headings);
+  }
+
+  const types = new Map();
+  Object.entries(headings).forEach(([type, synonyms]) => {
+    synonyms.forEach(synonym => types.set(normalizeHeading(synonym), type));
+  });
+
+  const alternatives = [...types.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map(synonym => synonym
+      .split(' ')
+      .map(word => (word === 'and' ? '(?:and|&)' : word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+      .join('\\s+'));
+
+  // The heading, then an optional colon or dash separating it from inline content
+  const pattern = new RegExp(`(?<![\\w&])(${alternatives.join('|')})(?![\\w&])[ \\t]*([:\\-–—]?)`, 'gi');
+
+  const compiled = { pattern, types };
+  headingPatterns.set(headings, compiled);
+  return compiled;
+}
+
+function normalizeHeading(heading) {
+  return heading.toLowerCase().replace(/&/g, 'and').replace(/\s+/g, ' ').trim();
+}
+
+// Words a Title Case heading inside flattened text may not follow: "in Education", "my Skills"
+const FUNCTION_WORDS = new Set([
+  'a', 'an', 'the', 'in', 'of', 'for', 'on', 'at', 'to', 'with', 'by', 'from', 'my', 'our',
+  'your', 'his', 'her', 'their', 'and', 'or',
+]);
+
+/**
+ * Whether text has no line structure: pdf.js text items joined with spaces put each page
+ * on one line, with only blank lines between pages
+ */
+function isFlattened(text) {
+  return !/(?<!\n)\n(?!\n)/.test(text);
+}
+
+const isUpperCase = (word) => /[A-Z]/.test(word) && word === word.toUpperCase();
+const isCapitalized = (word) => /^[A-Z]/.test(word) || /^(?:and|&)$/.test(word);
+
+/**
+ * Decide whether a heading synonym found in a line is used as a heading
+ *
+ * Cues: the heading is on its own line, is capitalized (Title Case or ALL CAPS) or is
+ * followed by a colon. A lowercase word inside a sentence ("five years of experience")
+ * never counts; an ALL CAPS heading inside a line counts unless it is part of a longer
+ * ALL CAPS run, which is how layout-less text ("... Springfield EXPERIENCE Senior ...") reads.
+ * In flattened text every heading is inside a line, so a Title Case heading counts there
+ * too ("... jane@x.com Work Experience Acme Corp ..."), unless a function word precedes it.
+ * @param {string} line - Line holding the match
+ * @param {Array} match - Heading pattern match
+ * @param {boolean} flattened - Whether the text has no line structure (see isFlattened)
+ */
+function isHeading(line, match, flattened = false) {
+  const heading = match[1];
+  const hasColon = match[2] === ':';
+  const before = line.slice(0, match.index);
+  const after = line.slice(match.index + match[0].length);
+
+  const atLineStart = /^[\s•·*#>\d.)-]*$/.test(before);
+  const ownLine = atLineStart && after.trim() === '';
+  const words = heading.split(/\s+/);
+  const allCaps = words.every(word => word === '&' || isUpperCase(word));
+  const titleCase = words.every(isCapitalized);
+
+  if (ownLine) {
+    return allCaps || titleCase || hasColon;
+  }
+  if (hasColon) {
+    return atLineStart || allCaps || titleCase;
+  }
+  if (allCaps) {
+    const previousWord = before.trim().split(/\s+/).pop() || '';
+    const nextWord = after.trim().split(/\s+/)[0] || '';
+    return !isUpperCase(previousWord.replace(/[^A-Za-z]/g, ''))
+      && !isUpperCase(nextWord.replace(/[^A-Za-z]/g, ''));
+  }
+  if (flattened && titleCase) {
+    const previousWord = before.trim().split(/\s+/).pop() || '';
+    return !FUNCTION_WORDS.has(previousWord.toLowerCase());
+  }
+  return false;
+}
+
+/**
+ * Split resume text into sections
+ * @param {string} text - Resume text
+ * @param {Object} options - Options
+ * @param {Object} options.headings - Heading synonyms per section type (default: SECTION_HEADINGS)
+ * @returns {Array<Object>} Sections in text order, as { type, heading, start, contentStart, end, content }:
+ *   start is the offset of the heading, contentStart the offset after the heading and its colon,
+ *   end the offset of the next heading (or the end of the text)
+ */
+function segmentSections(text, options = {}) {
+  const { headings = SECTION_HEADINGS } = options;
+  const { pattern, types } = compileHeadings(headings);
+  const sections = [];
+
+  if (!text) {
+    return sections;
+  }
+
+  const flattened = isFlattened(text);
+  let lineStart = 0;
+  text.split('\n').forEach(line => {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(line)) !== null) {
+      if (isHeading(line, match, flattened)) {
+        sections.push({
+          type: types.get(normalizeHeading(match[1])),
+          heading: match[1],
+          start: lineStart + match.index,
+          contentStart: lineStart + match.index + match[0].length,
+        });
+      }
+    }
+    lineStart += line.length + 1;
+  });
+
+  return sections.map((section, index) => {
+    const end = index + 1 < sections.length ? sections[index + 1].start : text.length;
+    return {
+      ...section,
+      end,
+      content: text.slice(section.contentStart, end),
+    };
+  });
+}
+
+/**
+ * Get the text of all sections of one type, in text order
+ * @param {Array<Object>} sections - Output of segmentSections
+ * @param {string} type - Section type, e.g. 'experience'
+ * @returns {string|null} Joined section contents, or null if the resume has no such section
+ */
+function getSectionText(sections, type) {
+  const matching = sections.filter(section => section.type === type);
+  if (matching.length === 0) {
+    return null;
+  }
+  return matching.map(section => section.content).join('\n');
+}
+
+module.exports = {
+  SECTION_HEADINGS,
+  segmentSections,
+  getSectionText,
+};
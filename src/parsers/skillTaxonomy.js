@@ -0,0 +1,203 @@
+const fs = require('fs');
+const path = require('path');
+const { logInfo } = require('../utils/logger');
+
+// Default taxonomy; point SKILL_TAXONOMY_PATH at another file to maintain your own
+const DEFAULT_TAXONOMY_PATH = path.join(__dirname, '../config/skillTaxonomy.json');
+
+// A skill must not be glued to letters or digits ("Go" in "Google", "Java" in "JavaScript"),
+// and not be followed by + or # ("C" in "C++")
+const BOUNDARY_BEFORE = '(?<![A-Za-z0-9])';
+const BOUNDARY_AFTER = '(?![A-Za-z0-9+#])';
+
+// Shortest time between checks of the file for changes
+const CHECK_INTERVAL_MS = parseInt(process.env.SKILL_TAXONOMY_CHECK_INTERVAL_MS) || 5000;
+
+// Loaded taxonomy, reloaded when the file changes
+let loaded = null;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Read and validate a taxonomy file
+ *
+ * Format: { version, categories: [...], skills: [{ name, aliases, category, caseSensitive, pattern }] }
+ * - name: canonical skill name, as stored in structured.skills and resume_skills
+ * - aliases: other spellings that count as the skill ("k8s" for Kubernetes)
+ * - category: one of categories
+ * - caseSensitive: only match the exact capitalization (for skills that are also common words)
+ * - pattern: regular expression used instead of the name and aliases; word boundaries are
+ *   still added around it
+ *
+ * @param {string} filePath - Taxonomy JSON file
+ * @returns {Object} { version, categories, skills, byKey }: skills carry a compiled regex,
+ *                   byKey maps each lowercase name and alias to its canonical name
+ * @throws {Error} When the file cannot be read or an entry is invalid
+ */
+function loadSkillTaxonomy(filePath = DEFAULT_TAXONOMY_PATH) {
+  let taxonomy;
+  try {
+    taxonomy = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read skill taxonomy ${filePath}: ${error.message}`);
+  }
+  const categories = Array.isArray(taxonomy.categories) ? taxonomy.categories : [];
+
+  if (!taxonomy.version || !Array.isArray(taxonomy.skills)) {
+    throw new Error(`Skill taxonomy ${filePath} needs a version and a skills array`);
+  }
+
+  const seen = new Map();
+  const skills = taxonomy.skills.map((entry, index) => {
+    const label = `Skill taxonomy ${filePath}, entry ${index}`;
+    if (!entry || typeof entry.name !== 'string' || !entry.name.trim()) {
+      throw new Error(`${label}: name is required`);
+    }
+    if (!categories.includes(entry.category)) {
+      throw new Error(`${label} (${entry.name}): unknown category '${entry.category}'`);
+    }
+    const aliases = entry.aliases || [];
+    if (!Array.isArray(aliases) || aliases.some(alias => typeof alias !== 'string' || !alias.trim())) {
+      throw new Error(`${label} (${entry.name}): aliases must be non-empty strings`);
+    }
+
+    // Every spelling must lead to one skill, or filters could not tell them apart
+    [entry.name, ...aliases].forEach(term => {
+      const key = term.toLowerCase();
+      if (seen.has(key) && seen.get(key) !== entry.name) {
+        throw new Error(`${label} (${entry.name}): '${term}' is already used by ${seen.get(key)}`);
+      }
+      seen.set(key, entry.name);
+    });
+
+    const terms = entry.pattern
+      ? entry.pattern
+      : [entry.name, ...aliases].map(term => escapeRegex(term).replace(/\s+/g, '\\s+')).join('|');
+
+    let regex;
+    try {
+      regex = new RegExp(`${BOUNDARY_BEFORE}(?:${terms})${BOUNDARY_AFTER}`, entry.caseSensitive ? 'g' : 'gi');
+    } catch (error) {
+      throw new Error(`${label} (${entry.name}): invalid pattern: ${error.message}`);
+    }
+
+    return {
+      name: entry.name,
+      aliases,
+      category: entry.category,
+      caseSensitive: Boolean(entry.caseSensitive),
+      pattern: entry.pattern || null,
+      regex,
+    };
+  });
+
+  return {
+    version: String(taxonomy.version),
+    categories,
+    skills,
+    byKey: seen,
+  };
+}
+
+/**
+ * Get the current taxonomy, loading it on first use and again when the file is modified
+ * The file is checked at most every CHECK_INTERVAL_MS. If a modified file is invalid, or the
+ * file cannot be read any more, the previous taxonomy stays in use and the error is logged.
+ * @returns {Object} Loaded taxonomy, see loadSkillTaxonomy
+ */
+function getSkillTaxonomy() {
+  const filePath = process.env.SKILL_TAXONOMY_PATH || DEFAULT_TAXONOMY_PATH;
+  const now = Date.now();
+  const current = loaded && loaded.filePath === filePath;
+
+  if (current && now - loaded.checkedAt < CHECK_INTERVAL_MS) {
+    return loaded.taxonomy;
+  }
+
+  let mtimeMs;
+  try {
+    ({ mtimeMs } = fs.statSync(filePath));
+  } catch (error) {
+    if (!loaded) {
+      throw error;
+    }
+    console.error(`Keeping skill taxonomy ${loaded.taxonomy.version}: ${error.message}`);
+    loaded.checkedAt = now;
+    return loaded.taxonomy;
+  }
+
+  if (current && loaded.mtimeMs === mtimeMs) {
+    loaded.checkedAt = now;
+    return loaded.taxonomy;
+  }
+
+  try {
+    const taxonomy = loadSkillTaxonomy(filePath);
+    loaded = { filePath, mtimeMs, checkedAt: now, taxonomy };
+    logInfo(`Loaded skill taxonomy ${taxonomy.version} (${taxonomy.skills.length} skills) from ${filePath}`);
+    return taxonomy;
+  } catch (error) {
+    if (!loaded) {
+      throw error;
+    }
+    console.error(`Keeping skill taxonomy ${loaded.taxonomy.version}: ${error.message}`);
+    // Do not retry until the file changes again
+    loaded.mtimeMs = mtimeMs;
+    loaded.checkedAt = now;
+    return loaded.taxonomy;
+  }
+}
+
+/**
+ * Find the skills mentioned in a text
+ * Where matches overlap, the longest wins, so "React Native" is not also counted as React.
+ * @param {string} text - Text to search
+ * @returns {Array<string>} Canonical skill names, in taxonomy order
+ */
+function matchSkills(text) {
+  const { skills } = getSkillTaxonomy();
+  const matches = [];
+
+  skills.forEach((skill, order) => {
+    skill.regex.lastIndex = 0;
+    let match;
+    while ((match = skill.regex.exec(text || '')) !== null) {
+      if (match[0].length === 0) {
+        skill.regex.lastIndex++;
+        continue;
+      }
+      matches.push({ order, start: match.index, end: match.index + match[0].length });
+    }
+  });
+
+  const taken = [];
+  const found = new Set();
+  matches
+    .sort((a, b) => (b.end - b.start) - (a.end - a.start) || a.start - b.start)
+    .forEach(match => {
+      if (!taken.some(span => match.start < span.end && span.start < match.end)) {
+        taken.push(match);
+        found.add(match.order);
+      }
+    });
+
+  return [...found].sort((a, b) => a - b).map(order => skills[order].name);
+}
+
+/**
+ * Map a skill name or alias to its canonical name
+ * @param {string} name - Skill name as given, e.g. "k8s"
+ * @returns {string} Canonical name ("Kubernetes"), or the input when the taxonomy does not know it
+ */
+function canonicalizeSkill(name) {
+  const trimmed = name.trim();
+  return getSkillTaxonomy().byKey.get(trimmed.toLowerCase()) || trimmed;
+}
+
+module.exports = {
+  DEFAULT_TAXONOMY_PATH,
+  loadSkillTaxonomy,
+  getSkillTaxonomy,
+  matchSkills,
+  canonicalizeSkill,
+};
@@ -0,0 +1,287 @@
+const { validate: validateJsonResume } = require('@jsonresume/schema');
+const { getClient } = require('../config/database');
+const { getResumeById, buildResumeFilters } = require('./resumeService');
+const { extractResumeData } = require('../parsers/pdfParser');
+const { parseDateRange, toIsoDate, monthsToYears } = require('../parsers/dateParser');
+
+const EXPORT_FORMATS = ['jsonresume'];
+
+// Formats for exporting many resumes at once
+const BULK_EXPORT_FORMATS = ['csv', 'ndjson'];
+
+// Rows fetched from the cursor per round trip
+const EXPORT_BATCH_SIZE = 500;
+
+// Columns of a bulk export, in CSV column order
+const BULK_EXPORT_COLUMNS = [
+  'id', 'filename', 'file_size', 'page_count', 'parser_used', 'parsing_time_ms', 'content_hash',
+  'created_at', 'updated_at', 'name', 'email', 'phone', 'linkedin', 'github', 'website', 'skills',
+  'experience_years',
+];
+
+/**
+ * Trim a value, turning empty strings into undefined so JSON.stringify leaves them out
+ */
+function clean(value) {
+  const trimmed = typeof value === 'string' ? value.trim() : value;
+  return trimmed ? trimmed : undefined;
+}
+
+/**
+ * Drop undefined values and empty arrays and objects
+ */
+function compact(object) {
+  const result = {};
+  Object.entries(object).forEach(([key, value]) => {
+    if (value === undefined || value === null) {
+      return;
+    }
+    if (Array.isArray(value) && value.length === 0) {
+      return;
+    }
+    if (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0) {
+      return;
+    }
+    result[key] = value;
+  });
+  return result;
+}
+
+/**
+ * Build a social profile entry from a profile URL
+ */
+function toProfile(network, url) {
+  const username = url.replace(/\/+$/, '').split('/').pop();
+  return compact({ network, username: clean(username), url });
+}
+
+/**
+ * Map extracted resume data onto the JSON Resume schema (https://jsonresume.org/schema)
+ * @param {Object} structured - Output of extractResumeData (contact, skills, experience, education)
+ * @param {Object} resume - Stored resume row, for meta
+ * @returns {Object} JSON Resume document without the fields that could not be extracted
+ */
+function toJsonResume(structured, resume) {
+  const contact = structured.contact || {};
+
+  const profiles = [];
+  if (contact.linkedin) {
+    profiles.push(toProfile('LinkedIn', contact.linkedin));
+  }
+  if (contact.github) {
+    profiles.push(toProfile('GitHub', contact.github));
+  }
+
+  const basics = compact({
+    name: clean(contact.name),
+    email: clean(contact.email),
+    phone: clean(contact.phone),
+    url: clean(contact.website),
+    location: contact.location ? { address: contact.location } : undefined,
+    profiles,
+  });
+
+  const work = (structured.experience || []).map(entry => {
+    const range = parseDateRange(entry.dates);
+    return compact({
+      name: clean(entry.company),
+      position: clean(entry.title),
+      startDate: range ? toIsoDate(range.start) : undefined,
+      endDate: range && !range.current ? toIsoDate(range.end) : undefined,
+      summary: clean(entry.description),
+    });
+  }).filter(entry => Object.keys(entry).length > 0);
+
+  const education = (structured.education || []).map(entry => {
+    const range = parseDateRange(entry.dates);
+    // "Bachelor of Science in Computer Science" -> study type and area
+    const degree = clean(entry.degree);
+    const degreeParts = degree ? degree.match(/^(.+?)\s+in\s+(.+)$/i) : null;
+    return compact({
+      institution: clean(entry.institution),
+      studyType: degreeParts ? degreeParts[1] : degree,
+      area: degreeParts ? degreeParts[2] : undefined,
+      startDate: range ? toIsoDate(range.start) : undefined,
+      endDate: range && !range.current ? toIsoDate(range.end) : undefined,
+    });
+  }).filter(entry => Object.keys(entry).length > 0);
+
+  const skills = (structured.skills || []).map(name => ({ name }));
+
+  return compact({
+    basics,
+    work,
+    education,
+    skills,
+    meta: compact({
+      version: 'v1.0.0',
+      lastModified: resume.updated_at ? new Date(resume.updated_at).toISOString() : undefined,
+    }),
+  });
+}
+
+/**
+ * Export a stored resume in the given format
+ * @param {number} resumeId - Resume ID
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {Promise<Object>} Exported document, or notFound / invalid with schema errors
+ */
+async function exportResume(resumeId, format = 'jsonresume') {
+  const resume = await getResumeById(resumeId);
+  if (!resume.success) {
+    return { success: false, notFound: Boolean(resume.notFound), error: resume.error };
+  }
+
+  const document = toJsonResume(resume.data.structured, resume.data);
+
+  const errors = await new Promise(resolve => {
+    validateJsonResume(document, (validationErrors) => resolve(validationErrors || []));
+  });
+
+  if (errors.length > 0) {
+    return {
+      success: false,
+      invalid: true,
+      error: 'Exported resume does not match the JSON Resume schema',
+      errors: errors.map(error => `${error.property} ${error.message}`),
+    };
+  }
+
+  return {
+    success: true,
+    format,
+    data: document,
+  };
+}
+
+/**
+ * Flatten a resume row and its structured fields into one export record
+ */
+function flattenResume(row, includeText) {
+  const structured = row.structured || extractResumeData(row.raw_text);
+  const contact = structured.contact || {};
+
+  const record = {
+    id: row.id,
+    filename: row.filename,
+    file_size: row.file_size,
+    page_count: row.page_count,
+    parser_used: row.parser_used,
+    parsing_time_ms: row.parsing_time_ms,
+    content_hash: row.content_hash,
+    created_at: row.created_at ? new Date(row.created_at).toISOString() : null,
+    updated_at: row.updated_at ? new Date(row.updated_at).toISOString() : null,
+    name: contact.name || null,
+    email: contact.email || null,
+    phone: contact.phone || null,
+    linkedin: contact.linkedin || null,
+    github: contact.github || null,
+    website: contact.website || null,
+    skills: structured.skills || [],
+    experience_years: monthsToYears(row.experience_months),
+  };
+
+  if (includeText) {
+    record.raw_text = row.raw_text;
+  }
+  return record;
+}
+
+/**
+ * Read resumes matching the list filters through a server-side cursor, in id order
+ * Only EXPORT_BATCH_SIZE rows are held in memory at a time.
+ * @param {Object} filters - List filters, see buildResumeFilters
+ * @param {Object} options - Options
+ * @param {boolean} options.includeText - Add raw_text to each record
+ * @returns {AsyncGenerator<Object>} Flattened records
+ */
+async function* readResumesForExport(filters = {}, options = {}) {
+  const client = await getClient();
+  let finished = false;
+
+  try {
+    await client.query('BEGIN');
+
+    const params = [];
+    const conditions = buildResumeFilters(filters, params);
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    await client.query(
+      `DECLARE resume_export NO SCROLL CURSOR FOR
+       SELECT r.id, r.filename, r.file_size, r.page_count, r.parser_used, r.parsing_time_ms,
+              r.content_hash, r.experience_months, r.created_at, r.updated_at, r.raw_text,
+              r.parsed_data->'structured' AS structured
+       FROM "parsedResume" r
+       ${whereClause}
+       ORDER BY r.id`,
+      params
+    );
+
+    while (true) {
+      const batch = await client.query(`FETCH ${EXPORT_BATCH_SIZE} FROM resume_export`);
+      if (batch.rows.length === 0) {
+        break;
+      }
+      for (const row of batch.rows) {
+        yield flattenResume(row, options.includeText);
+      }
+    }
+
+    await client.query('COMMIT');
+    finished = true;
+  } finally {
+    // Also reached when the consumer stops early, e.g. the HTTP client disconnected
+    if (!finished) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+    client.release();
+  }
+}
+
+/**
+ * Quote a CSV field when needed
+ * Text starting with a formula character is prefixed with ' so spreadsheets show it as text;
+ * plain numbers and phone numbers are left alone.
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = Array.isArray(value) ? value.join('; ') : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?[\d\s().-]+$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export resumes matching the list filters as CSV or NDJSON
+ * @param {string} format - One of BULK_EXPORT_FORMATS
+ * @param {Object} filters - List filters, see buildResumeFilters
+ * @param {Object} options - Options
+ * @param {boolean} options.includeText - Add a raw_text column
+ * @returns {AsyncGenerator<string>} Output chunks, one line per resume (plus the CSV header)
+ */
+async function* exportResumes(format, filters = {}, options = {}) {
+  const columns = options.includeText ? [...BULK_EXPORT_COLUMNS, 'raw_text'] : BULK_EXPORT_COLUMNS;
+
+  if (format === 'csv') {
+    yield `${columns.join(',')}\r\n`;
+  }
+
+  for await (const record of readResumesForExport(filters, options)) {
+    if (format === 'csv') {
+      yield `${columns.map(column => toCsvField(record[column])).join(',')}\r\n`;
+    } else {
+      yield `${JSON.stringify(record)}\n`;
+    }
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  BULK_EXPORT_FORMATS,
+  toJsonResume,
+  exportResume,
+  exportResumes,
+};
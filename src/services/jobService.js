@@ -0,0 +1,297 @@
+const { query } = require('../config/database');
+const { processAndStoreResume } = require('./resumeService');
+
+// How often the worker looks for queued jobs when idle
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+// How often a running job's heartbeat is refreshed
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.JOB_HEARTBEAT_INTERVAL_MS) || 30000;
+// A running job whose heartbeat is older than this was interrupted and is queued again
+const STALE_AFTER_MS = parseInt(process.env.JOB_STALE_AFTER_MS) || 5 * 60 * 1000;
+
+let workerRunning = false;
+let workerBusy = false;
+let pollTimer = null;
+
+/**
+ * Queue a resume for background parsing
+ * @param {Object} file - Uploaded file (path, originalname, size, mimetype)
+ * @param {Object} options - Parse options (parser, mode, ocrLanguage, fast)
+ * @returns {Promise<Object>} Result object with the queued job
+ */
+async function enqueueParseJob(file, options = {}) {
+  try {
+    const result = await query(
+      `INSERT INTO parse_jobs (filename, file_path, file_size, options)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      // The MIME type tells the file type when the filename has no extension
+      [file.originalname, file.path, file.size, JSON.stringify({ ...options, mimeType: file.mimetype })]
+    );
+
+    // Pick the job up right away instead of waiting for the next poll
+    wakeWorker();
+
+    return {
+      success: true,
+      data: formatJob(result.rows[0]),
+    };
+  } catch (error) {
+    console.error('Error queueing parse job:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Get parse job by ID
+ * @param {number} jobId - Job ID
+ * @returns {Promise<Object>} Job status
+ */
+async function getJobById(jobId) {
+  try {
+    const result = await query(
+      'SELECT * FROM parse_jobs WHERE id = $1',
+      [jobId]
+    );
+
+    if (result.rows.length === 0) {
+      return { success: false, error: 'Job not found' };
+    }
+
+    return {
+      success: true,
+      data: formatJob(result.rows[0]),
+    };
+  } catch (error) {
+    console.error('Error retrieving job:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Shape a parse_jobs row for API responses
+ */
+function formatJob(row) {
+  const queuedAt = row.created_at;
+  const startedAt = row.started_at;
+  const finishedAt = row.finished_at;
+
+  return {
+    id: row.id,
+    status: row.status,
+    filename: row.filename,
+    resumeId: row.resume_id,
+    duplicate: row.result ? Boolean(row.result.duplicate) : false,
+    result: row.result,
+    error: row.error,
+    attempts: row.attempts,
+    timing: {
+      queuedAt,
+      startedAt,
+      finishedAt,
+      waitMs: startedAt ? new Date(startedAt) - new Date(queuedAt) : null,
+      runMs: startedAt && finishedAt ? new Date(finishedAt) - new Date(startedAt) : null,
+    },
+  };
+}
+
+/**
+ * Claim the oldest queued job, or null if the queue is empty
+ * SKIP LOCKED keeps several server processes from claiming the same job
+ */
+async function claimNextJob() {
+  const result = await query(
+    `UPDATE parse_jobs
+     SET status = 'running', started_at = NOW(), heartbeat_at = NOW(), updated_at = NOW(),
+         attempts = attempts + 1
+     WHERE id = (
+       SELECT id FROM parse_jobs
+       WHERE status = 'queued'
+       ORDER BY created_at
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Queue again the running jobs whose worker stopped sending heartbeats
+ * Jobs of live processes keep a fresh heartbeat, so they are left alone.
+ * @returns {Promise<number>} Number of jobs queued again
+ */
+async function requeueStaleJobs() {
+  const result = await query(
+    `UPDATE parse_jobs
+     SET status = 'queued', started_at = NULL, heartbeat_at = NULL, updated_at = NOW()
+     WHERE status = 'running'
+       AND COALESCE(heartbeat_at, started_at, updated_at) < NOW() - $1 * INTERVAL '1 millisecond'`,
+    [STALE_AFTER_MS]
+  );
+  if (result.rowCount > 0) {
+    console.log(`Re-queued ${result.rowCount} interrupted parse job(s)`);
+  }
+  return result.rowCount;
+}
+
+/**
+ * Record the outcome of a job
+ */
+async function finishJob(job, result) {
+  if (result.success || result.duplicate) {
+    await query(
+      `UPDATE parse_jobs
+       SET status = 'succeeded', resume_id = $2, result = $3,
+           finished_at = NOW(), updated_at = NOW()
+       WHERE id = $1`,
+      [
+        job.id,
+        result.success ? result.resumeId : result.existingId,
+        JSON.stringify({
+          duplicate: Boolean(result.duplicate),
+          matchedOn: result.matchedOn,
+          hash: result.hash,
+          hashes: result.hashes,
+          numPages: result.numPages,
+          textLength: result.textLength,
+          parsingTime: result.parsingTime,
+          parserUsed: result.parserUsed,
+          likelyDuplicate: Boolean(result.likelyDuplicate),
+          nearDuplicates: result.nearDuplicates || [],
+          message: result.message,
+        }),
+      ]
+    );
+    console.log(`✅ Parse job ${job.id} succeeded`);
+  } else {
+    await markJobFailed(job, result.error);
+  }
+}
+
+/**
+ * Mark a job failed with an error message
+ */
+async function markJobFailed(job, error) {
+  await query(
+    `UPDATE parse_jobs
+     SET status = 'failed', error = $2, finished_at = NOW(), updated_at = NOW()
+     WHERE id = $1`,
+    [job.id, error]
+  );
+  console.log(`❌ Parse job ${job.id} failed: ${error}`);
+}
+
+/**
+ * Run a claimed job and record its outcome
+ */
+async function runJob(job) {
+  console.log(`Running parse job ${job.id}: ${job.filename}`);
+  const { parser, ...parseOptions } = job.options || {};
+
+  const heartbeat = setInterval(() => {
+    query('UPDATE parse_jobs SET heartbeat_at = NOW() WHERE id = $1 AND status = \'running\'', [job.id])
+      .catch(error => console.error(`Error updating heartbeat of parse job ${job.id}:`, error.message));
+  }, HEARTBEAT_INTERVAL_MS);
+
+  try {
+    let result;
+    try {
+      result = await processAndStoreResume(
+        job.file_path,
+        job.filename,
+        job.file_path,
+        job.file_size,
+        parser,
+        parseOptions
+      );
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    try {
+      await finishJob(job, result);
+    } catch (error) {
+      // A job left 'running' would only be picked up again once its heartbeat goes stale
+      console.error(`Error recording outcome of parse job ${job.id}:`, error);
+      await markJobFailed(job, `Could not record the job outcome: ${error.message}`);
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+/**
+ * Drain the queue, one job at a time
+ */
+async function processQueue() {
+  if (!workerRunning || workerBusy) {
+    return;
+  }
+
+  workerBusy = true;
+  clearTimeout(pollTimer);
+
+  try {
+    await requeueStaleJobs();
+    let job = await claimNextJob();
+    while (job && workerRunning) {
+      await runJob(job);
+      job = await claimNextJob();
+    }
+  } catch (error) {
+    console.error('Error in parse job worker:', error);
+  } finally {
+    workerBusy = false;
+    if (workerRunning) {
+      pollTimer = setTimeout(processQueue, POLL_INTERVAL_MS);
+    }
+  }
+}
+
+/**
+ * Trigger an immediate queue check
+ */
+function wakeWorker() {
+  if (workerRunning && !workerBusy) {
+    setImmediate(processQueue);
+  }
+}
+
+/**
+ * Start the in-process worker
+ * Running jobs whose heartbeat went stale (their process crashed or was stopped) are queued
+ * again on every poll, the first one included; jobs other live processes are running are
+ * left alone. If the database is not reachable yet, the poll loop keeps retrying.
+ */
+async function startJobWorker() {
+  if (workerRunning) {
+    return;
+  }
+
+  workerRunning = true;
+  console.log('⚙️  Parse job worker started');
+  processQueue();
+}
+
+/**
+ * Stop the worker after the current job finishes
+ */
+function stopJobWorker() {
+  workerRunning = false;
+  clearTimeout(pollTimer);
+  pollTimer = null;
+}
+
+module.exports = {
+  enqueueParseJob,
+  getJobById,
+  startJobWorker,
+  stopJobWorker,
+};
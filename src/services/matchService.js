@@ -0,0 +1,222 @@
+const { query } = require('../config/database');
+const { extractYearsOfExperience } = require('../parsers/pdfParser');
+const { matchSkills } = require('../parsers/skillTaxonomy');
+const { monthsToYears } = require('../parsers/dateParser');
+const { tokenize, termFrequencies, normalize } = require('../utils/termVector');
+
+// Share of the overall score per component; components the job description gives no
+// requirement for are left out and the remaining weights are scaled up
+const MATCH_WEIGHTS = {
+  skills: 0.5,
+  keywords: 0.3,
+  experience: 0.2,
+};
+
+// Highest-weighted job terms used to find candidates through the full-text index
+const SEARCH_TERMS = 30;
+// Candidate resumes loaded and scored per round trip
+const SCORE_BATCH_SIZE = 500;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Weight the job description's terms: (1 + log count) * IDF, normalized to unit length
+ *
+ * Document frequencies come from resume_terms, which is kept up to date as resumes are stored,
+ * and are looked up for the job's own terms only.
+ * @returns {Promise<Map<string, number>>} Term weights
+ */
+async function jobTermWeights(jobDescription) {
+  const counts = termFrequencies(tokenize(jobDescription));
+  if (counts.size === 0) {
+    return new Map();
+  }
+
+  const terms = [...counts.keys()];
+  const [documents, frequencies] = await Promise.all([
+    query('SELECT COUNT(*)::int AS count FROM "parsedResume"'),
+    query(
+      `SELECT term, COUNT(*)::int AS df FROM resume_terms
+       WHERE term = ANY($1::text[])
+       GROUP BY term`,
+      [terms]
+    ),
+  ]);
+
+  const documentCount = documents.rows[0].count;
+  const documentFrequency = new Map(frequencies.rows.map(row => [row.term, row.df]));
+  const weights = new Map();
+  counts.forEach((count, term) => {
+    const idf = Math.log((documentCount + 1) / ((documentFrequency.get(term) || 0) + 1)) + 1;
+    weights.set(term, (1 + Math.log(count)) * idf);
+  });
+  return normalize(weights);
+}
+
+/**
+ * Find the resumes worth scoring: those with a required skill (resume_skills) or matching
+ * one of the job's top terms (the search_vector index)
+ * @returns {Promise<Array<number>>} Resume IDs in ID order
+ */
+async function findCandidates(skillKeys, searchTerms) {
+  const searchQuery = searchTerms.join(' | ');
+  const result = await query(
+    `SELECT resume_id FROM resume_skills WHERE skill_key = ANY($1::text[])
+     UNION
+     SELECT id FROM "parsedResume"
+     WHERE $2 <> '' AND search_vector @@ to_tsquery('english', $2)
+     ORDER BY 1`,
+    [skillKeys, searchQuery]
+  );
+
+  return result.rows.map(row => row.resume_id);
+}
+
+/**
+ * Score one candidate row against the job's requirements
+ */
+function scoreCandidate(row, job) {
+  const { requiredSkills, requiredYears, jobVector, weights } = job;
+  const candidateSkills = new Set(row.skill_keys);
+
+  const matchedSkills = requiredSkills.filter(skill => candidateSkills.has(skill.toLowerCase()));
+  const missingSkills = requiredSkills.filter(skill => !candidateSkills.has(skill.toLowerCase()));
+
+  // Both vectors are unit length, so their dot product is the cosine similarity
+  const contributions = Object.entries(row.term_weights)
+    .map(([term, weight]) => [term, weight * jobVector.get(term)])
+    .sort((a, b) => b[1] - a[1]);
+  const similarity = Math.min(1, contributions.reduce((sum, [, value]) => sum + value, 0));
+
+  const statedYears = extractYearsOfExperience(row.raw_text);
+  const datedYears = monthsToYears(row.experience_months);
+  const candidateYears = statedYears === null && datedYears === null
+    ? null
+    : Math.max(statedYears || 0, datedYears || 0);
+
+  const scores = {
+    skills: requiredSkills.length > 0 ? matchedSkills.length / requiredSkills.length : null,
+    keywords: similarity,
+    experience: requiredYears === null
+      ? null
+      : requiredYears === 0 ? 1 : Math.min(1, (candidateYears || 0) / requiredYears),
+  };
+
+  const score = Object.keys(weights).reduce((sum, key) => sum + weights[key] * scores[key], 0);
+
+  return {
+    id: row.id,
+    filename: row.filename,
+    score: round(score),
+    scores: {
+      skills: scores.skills === null ? null : round(scores.skills),
+      keywords: round(scores.keywords),
+      experience: scores.experience === null ? null : round(scores.experience),
+    },
+    matchedSkills,
+    missingSkills,
+    experienceYears: candidateYears,
+    matchedKeywords: contributions.slice(0, 10).map(([term]) => term),
+  };
+}
+
+/**
+ * Quote a term as a to_tsquery operand, so characters such as + and # are not read as syntax
+ */
+function tsqueryTerm(term) {
+  return `'${term.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Rank stored resumes against a job description
+ *
+ * Required skills are every taxonomy skill mentioned anywhere in the job description, and
+ * the required years go through the same extractor as resumes. Candidates are narrowed first
+ * to resumes with a required skill or one of the job's top terms; every candidate is then
+ * scored, SCORE_BATCH_SIZE at a time, on:
+ * - skills: share of the required skills found in the resume
+ * - keywords: cosine similarity between the job description's TF-IDF vector and the term
+ *   weights stored for the resume in resume_terms
+ * - experience: candidate years / required years, capped at 1
+ *
+ * @param {string} jobDescription - Job description text
+ * @param {Object} options - Options
+ * @param {number} options.limit - Maximum results (default: 20)
+ * @returns {Promise<Object>} Extracted requirements and ranked results
+ */
+async function matchResumes(jobDescription, options = {}) {
+  const { limit = 20 } = options;
+
+  try {
+    // A job description lists requirements throughout, not only under a "Skills" heading
+    const requiredSkills = matchSkills(jobDescription);
+    const requiredYears = extractYearsOfExperience(jobDescription);
+    const jobVector = await jobTermWeights(jobDescription);
+
+    const weights = { ...MATCH_WEIGHTS };
+    if (requiredSkills.length === 0) {
+      delete weights.skills;
+    }
+    if (requiredYears === null) {
+      delete weights.experience;
+    }
+    const weightTotal = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    Object.keys(weights).forEach(key => {
+      weights[key] = round(weights[key] / weightTotal);
+    });
+
+    const searchTerms = [...jobVector.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, SEARCH_TERMS)
+      .map(([term]) => tsqueryTerm(term));
+    const candidateIds = await findCandidates(
+      requiredSkills.map(skill => skill.toLowerCase()),
+      searchTerms
+    );
+
+    const job = { requiredSkills, requiredYears, jobVector, weights };
+    const byScore = (a, b) => b.score - a.score || a.id - b.id;
+    let results = [];
+
+    // Only the best `limit` results are kept between batches
+    for (let offset = 0; offset < candidateIds.length; offset += SCORE_BATCH_SIZE) {
+      const batch = await query(
+        `SELECT r.id, r.filename, r.raw_text, r.experience_months,
+                COALESCE((SELECT ARRAY_AGG(s.skill_key) FROM resume_skills s WHERE s.resume_id = r.id), '{}') AS skill_keys,
+                COALESCE((SELECT JSON_OBJECT_AGG(t.term, t.weight) FROM resume_terms t
+                          WHERE t.resume_id = r.id AND t.term = ANY($2::text[])), '{}') AS term_weights
+         FROM "parsedResume" r
+         WHERE r.id = ANY($1::int[])`,
+        [candidateIds.slice(offset, offset + SCORE_BATCH_SIZE), [...jobVector.keys()]]
+      );
+
+      results = results
+        .concat(batch.rows.map(row => scoreCandidate(row, job)))
+        .sort(byScore)
+        .slice(0, limit);
+    }
+
+    return {
+      success: true,
+      data: {
+        requirements: {
+          skills: requiredSkills,
+          minYearsExperience: requiredYears,
+        },
+        weights,
+        total: candidateIds.length,
+        results,
+      },
+    };
+  } catch (error) {
+    console.error('Error matching resumes:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+module.exports = {
+  matchResumes,
+};
@@ -4,9 +4,483 @@ const {
   parseWithPdfJs, 
   parseWithPdf2Json, 
   parseWithPdfReader,
-  generateHash 
+  generateHash,
+  generateFileHash,
+  generateNormalizedHash,
 } = require('../parsers/allParsers');
+const { parseWithPdfJsLayout, readPdfHints } = require('../parsers/layoutParser');
+const { parseDocx } = require('../parsers/docxParser');
+const { extractResumeData } = require('../parsers/pdfParser');
+const { canonicalizeSkill } = require('../parsers/skillTaxonomy');
+const { totalMonths } = require('../parsers/dateParser');
+const { computeMinHash, estimateSimilarity, getBandHashes } = require('../utils/fingerprint');
+const { documentTermWeights } = require('../utils/termVector');
+const { getStorage, getStorageFor } = require('../storage');
+const {
+  performOCR,
+  performImageOCR,
+  smartParse,
+  hybridParse,
+} = require('../parsers/ocrParser');
 const crypto = require('crypto');
+const path = require('path');
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.tif', '.tiff'];
+
+// Document type per upload MIME type, used when the filename has no known extension
+const MIME_FILE_TYPES = {
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'image/png': 'image',
+  'image/jpeg': 'image',
+  'image/tiff': 'image',
+};
+
+// Uploads at least this similar to an existing resume are flagged as likely duplicates
+const NEAR_DUPLICATE_THRESHOLD = parseFloat(process.env.NEAR_DUPLICATE_THRESHOLD) || 0.95;
+
+// Columns returned for a full resume (everything except the internal search_vector)
+const RESUME_COLUMNS = `id, filename, file_path, file_missing_at, file_size, page_count, raw_text,
+  content_hash, file_hash, normalized_hash, parser_used, parsing_time_ms, parsed_data,
+  experience_months, created_at, updated_at`;
+
+/**
+ * Exact-duplicate fingerprints, strongest first:
+ * - file: SHA-256 of the original file bytes
+ * - content: SHA-256 of the extracted text
+ * - normalized: SHA-256 of the text with case and whitespace normalized
+ */
+const HASH_TYPES = {
+  file: 'file_hash',
+  content: 'content_hash',
+  normalized: 'normalized_hash',
+};
+
+const DUPLICATE_MESSAGES = {
+  file: 'An identical file has already been uploaded',
+  content: 'Resume with identical content already exists',
+  normalized: 'Resume with the same text (ignoring case and whitespace) already exists',
+};
+
+// Text parsers selectable for PDF input
+const PDF_PARSERS = {
+  'pdfjs-dist': parseWithPdfJs,
+  'pdfjs-layout': parseWithPdfJsLayout,
+  'pdf-parse': parseWithPdfParse,
+  'pdf2json': parseWithPdf2Json,
+  'pdfreader': parseWithPdfReader,
+};
+
+/**
+ * Parse modes for PDF input:
+ * - text: selected text parser with fallback to the others
+ * - smart: text parser first, OCR only if the PDF looks scanned
+ * - hybrid: text parser and OCR, merged
+ * - ocr: OCR only
+ */
+const PARSE_MODES = ['text', 'smart', 'hybrid', 'ocr'];
+
+/**
+ * Detect the document type from the original filename, or from the MIME type the client
+ * sent when the filename has no known extension
+ * Used both to accept uploads and to pick the parser, so the two always agree.
+ * @param {string} filename - Original filename
+ * @param {string} mimeType - MIME type of the upload, if known
+ * @returns {string|null} 'docx', 'image' or 'pdf', or null for unsupported files
+ */
+function detectFileType(filename, mimeType = null) {
+  const extension = path.extname(filename || '').toLowerCase();
+  if (extension === '.docx') {
+    return 'docx';
+  }
+  if (IMAGE_EXTENSIONS.includes(extension)) {
+    return 'image';
+  }
+  if (extension === '.pdf') {
+    return 'pdf';
+  }
+  return MIME_FILE_TYPES[mimeType] || null;
+}
+
+/**
+ * Parse a resume file with the selected parser and mode
+ * DOCX files always use the docx parser and images always use tesseract-ocr;
+ * parser and mode only apply to PDFs.
+ * @param {string|Buffer} input - File path or buffer (OCR modes need a path)
+ * @param {string} filename - Original filename, used to detect the file type
+ * @param {string} parserName - PDF text parser (pdf-parse, pdfjs-dist, pdf2json, pdfreader)
+ * @param {Object} options - Parse options
+ * @param {string} options.mode - Parse mode (text, smart, hybrid, ocr; default: text)
+ * @param {string} options.ocrLanguage - Tesseract language (default: 'eng')
+ * @param {boolean} options.fast - Use fast OCR mode
+ * @param {string} options.mimeType - MIME type of the upload, for filenames without an extension
+ * @returns {Promise<Object>} Parse result with parserUsed, mode, fileType and mimeType
+ */
+async function parseResumeFile(input, filename, parserName = 'pdfjs-dist', options = {}) {
+  const { mode = 'text', ocrLanguage = 'eng', fast = false, mimeType = null } = options;
+  const ocrOptions = { language: ocrLanguage, fast };
+  // Files that are neither are tried as PDFs (command-line callers pass any filename)
+  const fileType = detectFileType(filename, mimeType) || 'pdf';
+
+  if (fileType === 'docx') {
+    console.log(`Parsing DOCX: ${filename}`);
+    const parseResult = await parseDocx(input);
+    return { ...parseResult, parserUsed: 'docx', mode: 'text', fileType, mimeType };
+  }
+
+  if (fileType === 'image') {
+    console.log(`Parsing image: ${filename} using tesseract-ocr`);
+    const parseResult = await performImageOCR(input, ocrOptions);
+    return { ...parseResult, parserUsed: 'tesseract-ocr', mode: 'ocr', fileType, mimeType };
+  }
+
+  if (!PDF_PARSERS[parserName]) {
+    parserName = 'pdfjs-dist';
+  }
+  const regularParser = PDF_PARSERS[parserName];
+
+  console.log(`Parsing PDF: ${filename} using ${parserName} (${mode} mode)`);
+
+  // First-page font sizes and positions (used to find the candidate's name) and link
+  // annotations. The pdf.js parsers return them; for the others the PDF is read again.
+  const withPdfHints = async (parseResult) => {
+    if (!parseResult.success || (parseResult.firstPageLines && parseResult.links)) {
+      return parseResult;
+    }
+    return { ...parseResult, ...(await readPdfHints(input)) };
+  };
+
+  if (mode === 'ocr') {
+    const parseResult = await withPdfHints(await performOCR(input, ocrOptions));
+    return { ...parseResult, parserUsed: 'tesseract-ocr', mode, fileType, mimeType };
+  }
+
+  if (mode === 'hybrid') {
+    const parseResult = await withPdfHints(await hybridParse(input, regularParser, ocrOptions));
+    return { ...parseResult, parserUsed: `${parserName}+ocr`, mode, fileType, mimeType };
+  }
+
+  if (mode === 'smart') {
+    const parseResult = await withPdfHints(await smartParse(input, regularParser, ocrOptions));
+    // smartParse returns a bare OCR result when the text parser fails outright
+    const usedOCR = parseResult.usedOCR !== false;
+    return {
+      ...parseResult,
+      parserUsed: usedOCR ? `${parserName}+ocr` : parserName,
+      mode,
+      fileType,
+      mimeType,
+    };
+  }
+
+  // Text mode: try the selected parser
+  const originalParser = parserName;
+  let parseResult = await regularParser(input);
+
+  // Fallback logic if primary parser fails
+  if (!parseResult.success) {
+    console.log(`${parserName} failed (${parseResult.error}), trying fallback parsers...`);
+    
+    // Try pdfjs-dist as first fallback (most reliable)
+    if (parserName !== 'pdfjs-dist') {
+      console.log('Trying pdfjs-dist...');
+      parseResult = await parseWithPdfJs(input);
+      if (parseResult.success) {
+        parserName = 'pdfjs-dist';
+      }
+    }
+    
+    // Try pdf-parse as second fallback
+    if (!parseResult.success && parserName !== 'pdf-parse') {
+      console.log('Trying pdf-parse...');
+      parseResult = await parseWithPdfParse(input);
+      if (parseResult.success) {
+        parserName = 'pdf-parse';
+      }
+    }
+    
+    // Try pdf2json as third fallback
+    if (!parseResult.success && parserName !== 'pdf2json') {
+      console.log('Trying pdf2json...');
+      parseResult = await parseWithPdf2Json(input);
+      if (parseResult.success) {
+        parserName = 'pdf2json';
+      }
+    }
+  }
+  
+  if (originalParser !== parserName) {
+    console.log(`✓ Fallback successful! Using ${parserName} instead of ${originalParser}`);
+  }
+
+  return { ...(await withPdfHints(parseResult)), parserUsed: parserName, mode, fileType, mimeType };
+}
+
+/**
+ * Build the parsed_data JSON stored with a resume
+ * @param {Object} parseResult - Result from parseResumeFile
+ * @returns {Object} Text statistics, parse metadata, links, OCR confidence and structured fields
+ */
+function buildParsedData(parseResult) {
+  const parsedData = {
+    textLength: parseResult.text.length,
+    wordCount: parseResult.text.split(/\s+/).length,
+    parseMode: parseResult.mode,
+    metadata: parseResult.metadata,
+    // Needed to re-parse files whose name has no extension
+    mimeType: parseResult.mimeType || null,
+    structured: extractResumeData(parseResult.text, {
+      textLines: parseResult.firstPageLines,
+      links: parseResult.links,
+    }),
+    // URI and mailto links from PDF annotations, often hidden behind text such as "LinkedIn"
+    links: parseResult.links || [],
+  };
+
+  // Keep OCR confidence so low-quality scans can be spotted later
+  if (parseResult.pageResults) {
+    parsedData.ocr = {
+      averageConfidence: parseResult.averageConfidence,
+      pages: parseResult.pageResults.map(page => ({
+        page: page.page,
+        confidence: page.confidence,
+        textLength: page.text.length,
+        timeMs: page.timeMs,
+        error: page.error,
+      })),
+    };
+  }
+
+  return parsedData;
+}
+
+/**
+ * Record a parse attempt in the resume's version history
+ * @param {Object} client - Database client (joins the caller's transaction if one is open)
+ * @param {number} resumeId - Resume ID
+ * @param {Object} version - Attempt details (status, parserUsed, mode, text, hash, numPages,
+ *                           parsingTime, parsedData, error)
+ * @param {boolean} isCurrent - Whether this attempt is now the resume's current text
+ * @returns {Promise<Object>} The new version's id and version_number
+ */
+async function recordVersion(client, resumeId, version, isCurrent = false) {
+  // The number comes from a counter on the resume row: the UPDATE locks the row, so concurrent
+  // attempts for one resume wait for each other instead of both reading the same MAX
+  const counter = await client.query(
+    `UPDATE "parsedResume" SET version_count = version_count + 1 WHERE id = $1
+     RETURNING version_count`,
+    [resumeId]
+  );
+  if (counter.rows.length === 0) {
+    throw new Error(`Resume ${resumeId} not found`);
+  }
+
+  if (isCurrent) {
+    await client.query(
+      'UPDATE resume_versions SET is_current = false WHERE resume_id = $1 AND is_current',
+      [resumeId]
+    );
+  }
+
+  const result = await client.query(
+    `INSERT INTO resume_versions
+     (resume_id, version_number, status, parser_used, parse_mode, raw_text, content_hash,
+      page_count, parsing_time_ms, parsed_data, error, is_current)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+     RETURNING id, version_number`,
+    [
+      resumeId,
+      counter.rows[0].version_count,
+      version.status,
+      version.parserUsed,
+      version.mode,
+      version.text || null,
+      version.hash || null,
+      version.numPages || null,
+      version.parsingTime || null,
+      version.parsedData ? JSON.stringify(version.parsedData) : null,
+      version.error || null,
+      isCurrent,
+    ]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Total months of work experience of extracted structured data
+ * Structured data from before date normalization only has the date text, so it is read here.
+ * @param {Object} structured - parsed_data.structured
+ * @returns {number|null} Months, or null when no dates could be read
+ */
+function experienceMonthsOf(structured) {
+  if (!structured) {
+    return null;
+  }
+  if (structured.totalExperienceMonths !== undefined) {
+    return structured.totalExperienceMonths;
+  }
+  return totalMonths((structured.experience || []).map(entry => entry.dates));
+}
+
+/**
+ * Replace a resume's rows in resume_skills with its current extracted skills
+ * @param {Object} client - Database client (joins the caller's transaction)
+ * @param {number} resumeId - Resume ID
+ * @param {Array<string>} skills - Extracted skill names
+ */
+async function syncResumeSkills(client, resumeId, skills = []) {
+  await client.query('DELETE FROM resume_skills WHERE resume_id = $1', [resumeId]);
+
+  if (skills.length === 0) {
+    return;
+  }
+
+  await client.query(
+    `INSERT INTO resume_skills (resume_id, skill, skill_key)
+     SELECT $1, skill, LOWER(skill) FROM UNNEST($2::text[]) AS skill
+     ON CONFLICT DO NOTHING`,
+    [resumeId, skills]
+  );
+}
+
+/**
+ * Store a resume's MinHash signature and its LSH band buckets
+ * @param {Object} client - Database client (joins the caller's transaction)
+ * @param {number} resumeId - Resume ID
+ * @param {Array<number>|null} signature - Signature from computeMinHash
+ */
+async function syncFingerprint(client, resumeId, signature) {
+  await client.query('UPDATE "parsedResume" SET minhash = $2 WHERE id = $1', [resumeId, signature]);
+  await client.query('DELETE FROM resume_minhash_bands WHERE resume_id = $1', [resumeId]);
+
+  if (!signature) {
+    return;
+  }
+
+  await client.query(
+    `INSERT INTO resume_minhash_bands (resume_id, band, band_hash)
+     SELECT $1, band - 1, band_hash FROM UNNEST($2::bigint[]) WITH ORDINALITY AS b(band_hash, band)`,
+    [resumeId, getBandHashes(signature)]
+  );
+}
+
+/**
+ * Replace a resume's rows in resume_terms with the term weights of its current text
+ * @param {Object} client - Database client (joins the caller's transaction)
+ * @param {number} resumeId - Resume ID
+ * @param {string} text - Resume text
+ */
+async function syncTermWeights(client, resumeId, text) {
+  await client.query('DELETE FROM resume_terms WHERE resume_id = $1', [resumeId]);
+
+  const weights = documentTermWeights(text);
+  if (weights.size === 0) {
+    return;
+  }
+
+  await client.query(
+    `INSERT INTO resume_terms (resume_id, term, weight)
+     SELECT $1, term, weight FROM UNNEST($2::text[], $3::real[]) AS t(term, weight)`,
+    [resumeId, [...weights.keys()], [...weights.values()]]
+  );
+}
+
+/**
+ * Find a stored resume matching any of the given exact-duplicate fingerprints
+ * @param {Object} client - Database client
+ * @param {Object} hashes - Fingerprints keyed by HASH_TYPES name; missing ones are not checked
+ * @param {number} excludeId - Resume ID to leave out (the resume itself)
+ * @returns {Promise<Object|null>} { id, matchedOn } where matchedOn lists the matching
+ *                                 fingerprints, strongest first; null if none match
+ */
+async function findExactDuplicate(client, hashes, excludeId = null) {
+  const types = Object.keys(HASH_TYPES).filter(type => hashes[type]);
+  if (types.length === 0) {
+    return null;
+  }
+
+  const params = [excludeId];
+  const conditions = types.map(type => {
+    params.push(hashes[type]);
+    return `${HASH_TYPES[type]} = $${params.length}`;
+  });
+
+  // Prefer the resume matching the strongest fingerprint
+  const result = await client.query(
+    `SELECT id, file_hash, content_hash, normalized_hash FROM "parsedResume"
+     WHERE (${conditions.join(' OR ')})
+     AND ($1::integer IS NULL OR id <> $1)
+     ORDER BY ${conditions.map(condition => `(${condition}) DESC NULLS LAST`).join(', ')}, id
+     LIMIT 1`,
+    params
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const row = result.rows[0];
+  return {
+    id: row.id,
+    matchedOn: types.filter(type => row[HASH_TYPES[type]] === hashes[type]),
+  };
+}
+
+/**
+ * Find stored resumes at least NEAR_DUPLICATE_THRESHOLD similar to a signature
+ * Only resumes sharing an LSH band bucket are compared.
+ * @param {Object} client - Database client
+ * @param {Array<number>|null} signature - Signature from computeMinHash
+ * @param {number} excludeId - Resume ID to leave out (the resume itself)
+ * @returns {Promise<Array>} Up to 5 matches with similarity scores, most similar first
+ */
+async function findNearDuplicates(client, signature, excludeId = null) {
+  if (!signature) {
+    return [];
+  }
+
+  const candidates = await client.query(
+    `SELECT r.id, r.filename, r.minhash
+     FROM "parsedResume" r
+     WHERE r.id IN (
+       SELECT b.resume_id
+       FROM resume_minhash_bands b
+       JOIN UNNEST($1::bigint[]) WITH ORDINALITY AS q(band_hash, band)
+         ON b.band = q.band - 1 AND b.band_hash = q.band_hash
+     )
+     AND ($2::integer IS NULL OR r.id <> $2)`,
+    [getBandHashes(signature), excludeId]
+  );
+
+  return candidates.rows
+    .map(row => ({
+      id: row.id,
+      filename: row.filename,
+      similarity: estimateSimilarity(signature, row.minhash),
+    }))
+    .filter(match => match.similarity >= NEAR_DUPLICATE_THRESHOLD)
+    .sort((a, b) => b.similarity - a.similarity || a.id - b.id)
+    .slice(0, 5);
+}
+
+/**
+ * Hand an uploaded file to the configured storage backend and record its location
+ * Runs after the resume is committed; if saving fails the file stays at its upload path.
+ * @param {number} resumeId - Resume ID
+ * @param {string} filePath - Path the upload was written to
+ * @param {string} key - Name to store the file under
+ */
+async function storeOriginalFile(resumeId, filePath, key) {
+  try {
+    const location = await getStorage().save(filePath, key);
+    if (location !== filePath) {
+      await query('UPDATE "parsedResume" SET file_path = $2 WHERE id = $1', [resumeId, location]);
+    }
+  } catch (error) {
+    console.error(`Error storing original file for resume ${resumeId}:`, error);
+  }
+}
 
 /**
  * Process and store resume in database
@@ -15,112 +489,80 @@ const crypto = require('crypto');
  * @param {string} filePath - Full file path
  * @param {number} fileSize - File size in bytes
  * @param {string} parserName - Parser to use (pdf-parse, pdfjs-dist, pdf2json, pdfreader)
+ * @param {Object} options - Parse options (mode, ocrLanguage, fast, mimeType), see parseResumeFile
  * @returns {Promise<Object>} Result object with resume ID and parsed data
  */
-async function processAndStoreResume(pdfInput, filename, filePath = null, fileSize = 0, parserName = 'pdfjs-dist') {
+async function processAndStoreResume(pdfInput, filename, filePath = null, fileSize = 0, parserName = 'pdfjs-dist', options = {}) {
   const client = await getClient();
   
   try {
     await client.query('BEGIN');
 
-    // Step 1: Parse the PDF using selected parser with fallback
-    console.log(`Parsing PDF: ${filename} using ${parserName}`);
-    let parseResult;
-    const originalParser = parserName;
-    
-    // Try the selected parser
-    switch (parserName) {
-      case 'pdf-parse':
-        parseResult = await parseWithPdfParse(pdfInput);
-        break;
-      case 'pdfjs-dist':
-        parseResult = await parseWithPdfJs(pdfInput);
-        break;
-      case 'pdf2json':
-        parseResult = await parseWithPdf2Json(pdfInput);
-        break;
-      case 'pdfreader':
-        parseResult = await parseWithPdfReader(pdfInput);
-        break;
-      default:
-        parseResult = await parseWithPdfJs(pdfInput);
-        parserName = 'pdfjs-dist';
-    }
-    
-    // Fallback logic if primary parser fails
-    if (!parseResult.success) {
-      console.log(`${parserName} failed (${parseResult.error}), trying fallback parsers...`);
-      
-      // Try pdfjs-dist as first fallback (most reliable)
-      if (parserName !== 'pdfjs-dist') {
-        console.log('Trying pdfjs-dist...');
-        parseResult = await parseWithPdfJs(pdfInput);
-        if (parseResult.success) {
-          parserName = 'pdfjs-dist';
-        }
-      }
-      
-      // Try pdf-parse as second fallback
-      if (!parseResult.success && parserName !== 'pdf-parse') {
-        console.log('Trying pdf-parse...');
-        parseResult = await parseWithPdfParse(pdfInput);
-        if (parseResult.success) {
-          parserName = 'pdf-parse';
-        }
-      }
-      
-      // Try pdf2json as third fallback
-      if (!parseResult.success && parserName !== 'pdf2json') {
-        console.log('Trying pdf2json...');
-        parseResult = await parseWithPdf2Json(pdfInput);
-        if (parseResult.success) {
-          parserName = 'pdf2json';
-        }
-      }
-    }
-    
-    if (originalParser !== parserName) {
-      console.log(`✓ Fallback successful! Using ${parserName} instead of ${originalParser}`);
+    // Step 1: Check the original file bytes first, so re-uploads skip parsing entirely
+    const fileHash = await generateFileHash(pdfInput);
+    const existingFile = await findExactDuplicate(client, { file: fileHash });
+
+    if (existingFile) {
+      await client.query('ROLLBACK');
+      return {
+        success: false,
+        duplicate: true,
+        existingId: existingFile.id,
+        matchedOn: existingFile.matchedOn,
+        message: DUPLICATE_MESSAGES.file,
+        hash: fileHash,
+      };
     }
 
+    // Step 2: Parse the document using selected parser and mode
+    const parseResult = await parseResumeFile(pdfInput, filename, parserName, options);
+    parserName = parseResult.parserUsed;
+
     if (!parseResult.success) {
-      throw new Error(`Failed to parse PDF: ${parseResult.error}`);
+      throw new Error(`Failed to parse ${parseResult.fileType.toUpperCase()}: ${parseResult.error}`);
     }
 
-    // Step 2: Generate content hash (SHA-256)
+    // Step 3: Generate content hashes (SHA-256) of the exact and normalized text
     const contentHash = generateHash(parseResult.text);
+    const normalizedHash = generateNormalizedHash(parseResult.text);
     console.log(`Generated hash: ${contentHash.substring(0, 16)}...`);
 
-    // Step 3: Check if resume with same hash already exists
-    const existingResume = await client.query(
-      'SELECT id FROM "parsedResume" WHERE content_hash = $1',
-      [contentHash]
-    );
+    // Step 3b: Check if resume with same text already exists
+    const existingResume = await findExactDuplicate(client, {
+      content: contentHash,
+      normalized: normalizedHash,
+    });
 
-    if (existingResume.rows.length > 0) {
+    if (existingResume) {
       await client.query('ROLLBACK');
       return {
         success: false,
         duplicate: true,
-        existingId: existingResume.rows[0].id,
-        message: 'Resume with identical content already exists',
+        existingId: existingResume.id,
+        matchedOn: existingResume.matchedOn,
+        message: DUPLICATE_MESSAGES[existingResume.matchedOn[0]],
         hash: contentHash,
       };
     }
 
-    // Step 4: Extract basic structured data
-    const parsedData = {
-      textLength: parseResult.text.length,
-      wordCount: parseResult.text.split(/\s+/).length,
-      metadata: parseResult.metadata,
-    };
+    // Step 4: Extract structured data (contact, skills, experience, education)
+    const parsedData = buildParsedData(parseResult);
+    const structured = parsedData.structured;
+
+    // Step 4b: Flag near-duplicates (same resume with small edits or another parser)
+    const signature = computeMinHash(parseResult.text);
+    const nearDuplicates = await findNearDuplicates(client, signature);
+    if (nearDuplicates.length > 0) {
+      parsedData.nearDuplicates = nearDuplicates;
+      console.log(`⚠️  Likely duplicate of resume ${nearDuplicates[0].id} (${(nearDuplicates[0].similarity * 100).toFixed(1)}% similar)`);
+    }
 
     // Step 5: Insert into parsedResume table
     const resumeResult = await client.query(
       `INSERT INTO "parsedResume" 
        (filename, file_path, file_size, page_count, raw_text, content_hash, 
-        parser_used, parsing_time_ms, parsed_data)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        file_hash, normalized_hash, parser_used, parsing_time_ms, parsed_data, experience_months)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
        RETURNING id`,
       [
         filename,
@@ -129,26 +571,53 @@ async function processAndStoreResume(pdfInput, filename, filePath = null, fileSi
         parseResult.numPages,
         parseResult.text,
         contentHash,
+        fileHash,
+        normalizedHash,
         parserName,
         parseResult.parsingTime,
         JSON.stringify(parsedData),
+        experienceMonthsOf(structured),
       ]
     );
 
     const resumeId = resumeResult.rows[0].id;
     console.log(`✅ Resume stored with ID: ${resumeId}`);
 
+    await syncResumeSkills(client, resumeId, structured.skills);
+    await syncFingerprint(client, resumeId, signature);
+    await syncTermWeights(client, resumeId, parseResult.text);
+
+    const version = await recordVersion(client, resumeId, {
+      status: 'succeeded',
+      parserUsed: parserName,
+      mode: parseResult.mode,
+      text: parseResult.text,
+      hash: contentHash,
+      numPages: parseResult.numPages,
+      parsingTime: parseResult.parsingTime,
+      parsedData,
+    }, true);
+
     await client.query('COMMIT');
 
+    if (filePath) {
+      await storeOriginalFile(resumeId, filePath, `${fileHash}${path.extname(filename).toLowerCase()}`);
+    }
+
     return {
       success: true,
       resumeId,
+      versionId: version.id,
       hash: contentHash,
+      hashes: { file: fileHash, content: contentHash, normalized: normalizedHash },
       numPages: parseResult.numPages,
       textLength: parseResult.text.length,
       parsingTime: parseResult.parsingTime,
       parserUsed: parserName,
       parsedText: parseResult.text,
+      structured,
+      likelyDuplicate: nearDuplicates.length > 0,
+      nearDuplicates,
       message: 'Resume parsed and stored successfully',
     };
   } catch (error) {
@@ -163,25 +632,399 @@ async function processAndStoreResume(pdfInput, filename, filePath = null, fileSi
   }
 }
 
+/**
+ * Process and store a batch of uploaded resumes, one at a time
+ * A failure on one file is recorded in its result and does not stop the batch
+ * @param {Array<Object>} files - Uploaded files (path, originalname, size, mimetype)
+ * @param {string} parserName - Parser to use for every file
+ * @param {Object} options - Parse options (mode, ocrLanguage, fast) for every file
+ * @returns {Promise<Object>} Per-file results and summary counts
+ */
+async function processResumeBatch(files, parserName = 'pdfjs-dist', options = {}) {
+  const results = [];
+
+  for (const file of files) {
+    let result;
+    try {
+      result = await processAndStoreResume(
+        file.path,
+        file.originalname,
+        file.path,
+        file.size,
+        parserName,
+        { ...options, mimeType: file.mimetype }
+      );
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (result.success) {
+      results.push({
+        filename: file.originalname,
+        status: 'stored',
+        resumeId: result.resumeId,
+        hash: result.hash,
+        numPages: result.numPages,
+        parserUsed: result.parserUsed,
+        likelyDuplicate: result.likelyDuplicate,
+        nearDuplicates: result.nearDuplicates,
+      });
+    } else if (result.duplicate) {
+      results.push({
+        filename: file.originalname,
+        status: 'duplicate',
+        existingId: result.existingId,
+        matchedOn: result.matchedOn,
+        hash: result.hash,
+      });
+    } else {
+      results.push({
+        filename: file.originalname,
+        status: 'failed',
+        error: result.error,
+      });
+    }
+  }
+
+  return {
+    results,
+    summary: {
+      total: results.length,
+      stored: results.filter(r => r.status === 'stored').length,
+      duplicates: results.filter(r => r.status === 'duplicate').length,
+      failed: results.filter(r => r.status === 'failed').length,
+    },
+  };
+}
+
+/**
+ * Re-parse a stored resume from its original file with a different parser or mode
+ * The new text must not duplicate the content or normalized hash of another resume.
+ * @param {number} resumeId - Resume ID
+ * @param {string} parserName - Parser to use (pdf-parse, pdfjs-dist, pdf2json, pdfreader)
+ * @param {Object} options - Parse options (mode, ocrLanguage, fast), see parseResumeFile
+ * @returns {Promise<Object>} Result object with the updated resume
+ */
+async function reparseResume(resumeId, parserName = 'pdfjs-dist', options = {}) {
+  // Parsing (OCR especially) can take minutes, so a connection is only checked out afterwards
+  let client = null;
+  let inTransaction = false;
+
+  try {
+    const existing = await query(
+      `SELECT id, filename, file_path, content_hash, parsed_data->>'mimeType' AS mime_type
+       FROM "parsedResume" WHERE id = $1`,
+      [resumeId]
+    );
+
+    if (existing.rows.length === 0) {
+      return { success: false, notFound: true, error: 'Resume not found' };
+    }
+
+    const resume = existing.rows[0];
+    const storage = resume.file_path ? getStorageFor(resume.file_path) : null;
+    if (!storage || !(await storage.exists(resume.file_path))) {
+      return {
+        success: false,
+        parseFailed: true,
+        error: 'Original file is no longer available for this resume',
+      };
+    }
+
+    const localFile = await storage.getLocalPath(resume.file_path);
+    let parseResult;
+    try {
+      parseResult = await parseResumeFile(localFile.path, resume.filename, parserName, {
+        ...options,
+        mimeType: resume.mime_type,
+      });
+    } finally {
+      await localFile.cleanup();
+    }
+
+    client = await getClient();
+
+    if (!parseResult.success) {
+      const failedVersion = await recordVersion(client, resumeId, {
+        status: 'failed',
+        parserUsed: parseResult.parserUsed,
+        mode: parseResult.mode,
+        parsingTime: parseResult.parsingTime,
+        error: parseResult.error,
+      });
+      return {
+        success: false,
+        parseFailed: true,
+        versionId: failedVersion.id,
+        error: `Failed to parse ${parseResult.fileType.toUpperCase()}: ${parseResult.error}`,
+      };
+    }
+
+    const contentHash = generateHash(parseResult.text);
+    const normalizedHash = generateNormalizedHash(parseResult.text);
+    const parsedData = buildParsedData(parseResult);
+    const attempt = {
+      parserUsed: parseResult.parserUsed,
+      mode: parseResult.mode,
+      text: parseResult.text,
+      hash: contentHash,
+      numPages: parseResult.numPages,
+      parsingTime: parseResult.parsingTime,
+      parsedData,
+    };
+
+    await client.query('BEGIN');
+    inTransaction = true;
+
+    // The unique constraint still applies: another resume may already hold this text
+    const duplicate = await findExactDuplicate(client, {
+      content: contentHash,
+      normalized: normalizedHash,
+    }, resumeId);
+
+    if (duplicate) {
+      await client.query('ROLLBACK');
+      inTransaction = false;
+      // Kept in history so it can be promoted if the other resume is removed
+      const duplicateVersion = await recordVersion(client, resumeId, { ...attempt, status: 'duplicate' });
+      return {
+        success: false,
+        duplicate: true,
+        existingId: duplicate.id,
+        matchedOn: duplicate.matchedOn,
+        versionId: duplicateVersion.id,
+        message: 'Another resume already has identical content',
+        hash: contentHash,
+      };
+    }
+
+    await client.query(
+      `UPDATE "parsedResume"
+       SET raw_text = $2, content_hash = $3, normalized_hash = $4, parser_used = $5,
+           page_count = $6, parsing_time_ms = $7, parsed_data = $8, experience_months = $9,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [
+        resumeId,
+        parseResult.text,
+        contentHash,
+        normalizedHash,
+        parseResult.parserUsed,
+        parseResult.numPages,
+        parseResult.parsingTime,
+        JSON.stringify(parsedData),
+        experienceMonthsOf(parsedData.structured),
+      ]
+    );
+
+    await syncResumeSkills(client, resumeId, parsedData.structured.skills);
+    await syncFingerprint(client, resumeId, computeMinHash(parseResult.text));
+    await syncTermWeights(client, resumeId, parseResult.text);
+    const version = await recordVersion(client, resumeId, { ...attempt, status: 'succeeded' }, true);
+
+    await client.query('COMMIT');
+    inTransaction = false;
+    console.log(`✅ Resume ${resumeId} re-parsed with ${parseResult.parserUsed}`);
+
+    return {
+      success: true,
+      resumeId,
+      versionId: version.id,
+      versionNumber: version.version_number,
+      hash: contentHash,
+      previousHash: resume.content_hash,
+      changed: contentHash !== resume.content_hash,
+      numPages: parseResult.numPages,
+      textLength: parseResult.text.length,
+      parsingTime: parseResult.parsingTime,
+      parserUsed: parseResult.parserUsed,
+      parseMode: parseResult.mode,
+      structured: parsedData.structured,
+    };
+  } catch (error) {
+    if (inTransaction) {
+      await client.query('ROLLBACK');
+    }
+    console.error('Error re-parsing resume:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+/**
+ * Get the parse history of a resume, newest first
+ * @param {number} resumeId - Resume ID
+ * @param {Object} options - Options
+ * @param {boolean} options.includeText - Include each version's raw text
+ * @returns {Promise<Object>} List of versions
+ */
+async function getResumeVersions(resumeId, options = {}) {
+  try {
+    const resume = await query('SELECT id FROM "parsedResume" WHERE id = $1', [resumeId]);
+    if (resume.rows.length === 0) {
+      return { success: false, error: 'Resume not found' };
+    }
+
+    const textColumn = options.includeText ? 'raw_text,' : '';
+    const result = await query(
+      `SELECT id, resume_id, version_number, status, parser_used, parse_mode, ${textColumn}
+              LENGTH(raw_text) AS text_length, content_hash, page_count, parsing_time_ms,
+              parsed_data, error, is_current, created_at
+       FROM resume_versions
+       WHERE resume_id = $1
+       ORDER BY version_number DESC`,
+      [resumeId]
+    );
+
+    return {
+      success: true,
+      data: result.rows,
+    };
+  } catch (error) {
+    console.error('Error retrieving resume versions:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Make a recorded version the resume's current text and parsed data
+ * @param {number} resumeId - Resume ID
+ * @param {number} versionId - Version ID to promote
+ * @returns {Promise<Object>} Result object
+ */
+async function promoteResumeVersion(resumeId, versionId) {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    // Lock the resume first, so a re-parse of it waits until the promotion is committed
+    await client.query('SELECT id FROM "parsedResume" WHERE id = $1 FOR UPDATE', [resumeId]);
+
+    const versionResult = await client.query(
+      'SELECT * FROM resume_versions WHERE id = $1 AND resume_id = $2 FOR UPDATE',
+      [versionId, resumeId]
+    );
+
+    if (versionResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { success: false, notFound: true, error: 'Version not found' };
+    }
+
+    const version = versionResult.rows[0];
+    if (version.status === 'failed') {
+      await client.query('ROLLBACK');
+      return { success: false, invalid: true, error: 'A failed parse attempt cannot be promoted' };
+    }
+
+    const normalizedHash = generateNormalizedHash(version.raw_text);
+    const duplicate = await findExactDuplicate(client, {
+      content: version.content_hash,
+      normalized: normalizedHash,
+    }, resumeId);
+
+    if (duplicate) {
+      await client.query('ROLLBACK');
+      return {
+        success: false,
+        duplicate: true,
+        existingId: duplicate.id,
+        matchedOn: duplicate.matchedOn,
+        message: 'Another resume already has identical content',
+        hash: version.content_hash,
+      };
+    }
+
+    await client.query(
+      `UPDATE "parsedResume"
+       SET raw_text = $2, content_hash = $3, normalized_hash = $4, parser_used = $5,
+           page_count = $6, parsing_time_ms = $7, parsed_data = $8, experience_months = $9,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [
+        resumeId,
+        version.raw_text,
+        version.content_hash,
+        normalizedHash,
+        version.parser_used,
+        version.page_count,
+        version.parsing_time_ms,
+        version.parsed_data,
+        experienceMonthsOf(version.parsed_data ? version.parsed_data.structured : null),
+      ]
+    );
+
+    const structured = version.parsed_data ? version.parsed_data.structured : null;
+    await syncResumeSkills(client, resumeId, structured ? structured.skills : []);
+    await syncFingerprint(client, resumeId, computeMinHash(version.raw_text));
+    await syncTermWeights(client, resumeId, version.raw_text);
+
+    await client.query(
+      'UPDATE resume_versions SET is_current = (id = $2) WHERE resume_id = $1',
+      [resumeId, versionId]
+    );
+
+    await client.query('COMMIT');
+    console.log(`✅ Resume ${resumeId} now uses version ${version.version_number}`);
+
+    return {
+      success: true,
+      resumeId,
+      versionId,
+      versionNumber: version.version_number,
+      hash: version.content_hash,
+      parserUsed: version.parser_used,
+      message: `Version ${version.version_number} is now current`,
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error promoting resume version:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  } finally {
+    client.release();
+  }
+}
+
 /**
  * Get resume by ID
  * @param {number} resumeId - Resume ID
- * @returns {Promise<Object>} Resume data
+ * @returns {Promise<Object>} Resume data, or notFound when no resume has this ID
  */
 async function getResumeById(resumeId) {
   try {
     const resumeResult = await query(
-      'SELECT * FROM "parsedResume" WHERE id = $1',
+      `SELECT ${RESUME_COLUMNS} FROM "parsedResume" WHERE id = $1`,
       [resumeId]
     );
 
     if (resumeResult.rows.length === 0) {
-      return { success: false, error: 'Resume not found' };
+      return { success: false, notFound: true, error: 'Resume not found' };
     }
 
+    const resume = resumeResult.rows[0];
+    // structured is returned at the top level only, not again inside parsed_data
+    const { structured, ...parsedData } = resume.parsed_data || {};
+
     return {
       success: true,
-      data: resumeResult.rows[0],
+      data: {
+        ...resume,
+        parsed_data: resume.parsed_data ? parsedData : null,
+        // Rows stored before structured extraction was added are extracted on read
+        structured: structured || extractResumeData(resume.raw_text),
+      },
     };
   } catch (error) {
     console.error('Error retrieving resume:', error);
@@ -192,22 +1035,195 @@ async function getResumeById(resumeId) {
   }
 }
 
+// Sortable list columns; nullable columns are coalesced so keyset cursors stay stable
+const SORT_COLUMNS = {
+  id: { expr: 'r.id', type: 'integer' },
+  filename: { expr: 'r.filename', type: 'text' },
+  content_hash: { expr: 'r.content_hash', type: 'text' },
+  page_count: { expr: 'COALESCE(r.page_count, 0)', type: 'integer' },
+  file_size: { expr: 'COALESCE(r.file_size, 0)', type: 'integer' },
+  parser_used: { expr: "COALESCE(r.parser_used, '')", type: 'text' },
+  parsing_time_ms: { expr: 'COALESCE(r.parsing_time_ms, 0)', type: 'integer' },
+  experience_months: { expr: 'COALESCE(r.experience_months, -1)', type: 'integer' },
+  created_at: { expr: 'r.created_at', type: 'timestamp' },
+};
+
 /**
- * Get all resumes with basic information
- * @returns {Promise<Array>} List of resumes
+ * Read and validate resume list filters from raw values (query string or CLI flags)
+ * @param {Object} values - Raw values keyed by filter name, see buildResumeFilters
+ * @returns {Object} { filters } or { error } when a value is invalid
  */
-async function getAllResumes() {
+function parseListFilters(values) {
+  const filters = {};
+
+  if (values.parser) {
+    filters.parser = String(values.parser);
+  }
+
+  for (const param of ['minPages', 'maxPages', 'minSize', 'maxSize']) {
+    if (values[param] !== undefined) {
+      const value = parseInt(values[param]);
+      if (isNaN(value)) {
+        return { error: `${param} must be a number` };
+      }
+      filters[param] = value;
+    }
+  }
+
+  // Years of experience, fractions allowed
+  for (const param of ['minExperience', 'maxExperience']) {
+    if (values[param] !== undefined) {
+      const value = parseFloat(values[param]);
+      if (isNaN(value) || value < 0) {
+        return { error: `${param} must be a number of years` };
+      }
+      filters[param] = value;
+    }
+  }
+
+  for (const param of ['uploadedAfter', 'uploadedBefore']) {
+    if (values[param] !== undefined) {
+      const date = new Date(values[param]);
+      if (isNaN(date.getTime())) {
+        return { error: `${param} must be a valid date` };
+      }
+      // uploadedBefore is exclusive, so a date without a time has to include that whole day
+      if (param === 'uploadedBefore' && /^\d{4}-\d{2}-\d{2}$/.test(String(values[param]).trim())) {
+        date.setUTCDate(date.getUTCDate() + 1);
+      }
+      filters[param] = date;
+    }
+  }
+
+  return { filters };
+}
+
+/**
+ * Build WHERE conditions for the resume list filters
+ * @param {Object} filters - Filters
+ * @param {string} filters.parser - Exact parser_used value
+ * @param {number} filters.minPages - Minimum page count
+ * @param {number} filters.maxPages - Maximum page count
+ * @param {number} filters.minSize - Minimum file size in bytes
+ * @param {number} filters.maxSize - Maximum file size in bytes
+ * @param {number} filters.minExperience - Minimum total years of experience
+ * @param {number} filters.maxExperience - Maximum total years of experience
+ * @param {Date} filters.uploadedAfter - Earliest upload date
+ * @param {Date} filters.uploadedBefore - Uploads must be before this time (exclusive;
+ *                                        parseListFilters moves a date-only value to the next day)
+ * @param {Array} params - Query parameters, appended to in place
+ * @returns {Array<string>} SQL conditions on the "parsedResume" alias r
+ */
+function buildResumeFilters(filters, params) {
+  const conditions = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (filters.parser) add('r.parser_used = ?', filters.parser);
+  if (filters.minPages !== undefined) add('r.page_count >= ?', filters.minPages);
+  if (filters.maxPages !== undefined) add('r.page_count <= ?', filters.maxPages);
+  if (filters.minSize !== undefined) add('r.file_size >= ?', filters.minSize);
+  if (filters.maxSize !== undefined) add('r.file_size <= ?', filters.maxSize);
+  if (filters.minExperience !== undefined) add('r.experience_months >= ?', Math.round(filters.minExperience * 12));
+  if (filters.maxExperience !== undefined) add('r.experience_months <= ?', Math.round(filters.maxExperience * 12));
+  if (filters.uploadedAfter) add('r.created_at >= ?', filters.uploadedAfter);
+  if (filters.uploadedBefore) add('r.created_at < ?', filters.uploadedBefore);
+
+  return conditions;
+}
+
+/**
+ * Encode the position after a row as an opaque cursor
+ */
+function encodeCursor(sort, order, row) {
+  const payload = { s: sort, o: order, v: row.sort_value, id: row.id };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor, or null if it is malformed or from a different sort
+ */
+function decodeCursor(cursor, sort, order) {
   try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (payload.s !== sort || payload.o !== order || !Number.isInteger(payload.id)) {
+      return null;
+    }
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get a page of resumes with basic information
+ * @param {Object} options - Options
+ * @param {string} options.sort - Column to sort by, one of SORT_COLUMNS (default: created_at)
+ * @param {string} options.order - 'asc' or 'desc' (default: desc)
+ * @param {number} options.limit - Page size (default: 50)
+ * @param {string} options.cursor - nextCursor from the previous page
+ * @param {Object} options.filters - List filters, see buildResumeFilters
+ * @returns {Promise<Object>} Resumes, total count matching the filters, and next cursor
+ */
+async function getAllResumes(options = {}) {
+  const { sort = 'created_at', order = 'desc', limit = 50, cursor, filters = {} } = options;
+
+  if (!SORT_COLUMNS[sort]) {
+    return { success: false, invalid: true, error: `Cannot sort by '${sort}'` };
+  }
+
+  const sortColumn = SORT_COLUMNS[sort];
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+  try {
+    const params = [];
+    const conditions = buildResumeFilters(filters, params);
+
+    // Count with the filters only, before the cursor narrows the page
+    const countResult = await query(
+      `SELECT COUNT(*) AS total FROM "parsedResume" r
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}`,
+      params
+    );
+
+    if (cursor) {
+      const position = decodeCursor(cursor, sort, order === 'asc' ? 'asc' : 'desc');
+      if (!position) {
+        return { success: false, invalid: true, error: 'Invalid cursor for this sort order' };
+      }
+      params.push(position.v, position.id);
+      conditions.push(
+        `(${sortColumn.expr}, r.id) ${direction === 'ASC' ? '>' : '<'} ` +
+        `($${params.length - 1}::${sortColumn.type}, $${params.length})`
+      );
+    }
+
+    // Fetch one extra row to know whether another page follows
+    params.push(limit + 1);
     const result = await query(
-      `SELECT id, filename, content_hash, page_count, file_size, 
-              parser_used, parsing_time_ms, created_at
-       FROM "parsedResume"
-       ORDER BY created_at DESC`
+      `SELECT r.id, r.filename, r.content_hash, r.page_count, r.file_size,
+              r.parser_used, r.parsing_time_ms, r.experience_months, r.created_at,
+              ${sortColumn.expr}::text AS sort_value
+       FROM "parsedResume" r
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY ${sortColumn.expr} ${direction}, r.id ${direction}
+       LIMIT $${params.length}`,
+      params
     );
 
+    const hasMore = result.rows.length > limit;
+    const rows = result.rows.slice(0, limit);
+    const nextCursor = hasMore
+      ? encodeCursor(sort, direction.toLowerCase(), rows[rows.length - 1])
+      : null;
+
     return {
       success: true,
-      data: result.rows,
+      data: rows.map(({ sort_value, ...row }) => row),
+      total: parseInt(countResult.rows[0].total),
+      nextCursor,
     };
   } catch (error) {
     console.error('Error retrieving resumes:', error);
@@ -219,20 +1235,27 @@ async function getAllResumes() {
 }
 
 /**
- * Search resumes by content hash
- * @param {string} hash - Content hash to search
- * @returns {Promise<Object>} Search results
+ * Search resumes by file, content or normalized hash
+ * @param {string} hash - Hash to search
+ * @param {string} type - Fingerprint to match (file, content, normalized; default: any)
+ * @returns {Promise<Object>} Search results, each with the fingerprints it matched on
  */
-async function searchResumeByHash(hash) {
+async function searchResumeByHash(hash, type = null) {
   try {
+    const types = type ? [type] : Object.keys(HASH_TYPES);
     const result = await query(
-      'SELECT * FROM "parsedResume" WHERE content_hash = $1',
+      `SELECT ${RESUME_COLUMNS} FROM "parsedResume"
+       WHERE ${types.map(t => `${HASH_TYPES[t]} = $1`).join(' OR ')}
+       ORDER BY id`,
       [hash]
     );
 
     return {
       success: true,
-      data: result.rows,
+      data: result.rows.map(row => ({
+        ...row,
+        matched_on: types.filter(t => row[HASH_TYPES[t]] === hash),
+      })),
       found: result.rows.length > 0,
     };
   } catch (error) {
@@ -252,7 +1275,7 @@ async function searchResumeByHash(hash) {
 async function searchResumeByFilename(filename) {
   try {
     const result = await query(
-      'SELECT * FROM "parsedResume" WHERE filename ILIKE $1',
+      `SELECT ${RESUME_COLUMNS} FROM "parsedResume" WHERE filename ILIKE $1`,
       [`%${filename}%`]
     );
 
@@ -269,6 +1292,322 @@ async function searchResumeByFilename(filename) {
   }
 }
 
+/**
+ * Build a tsquery expression from a search string
+ * Supports "quoted phrases", prefix terms ending in * (e.g. kube*) and plain words,
+ * all of which must match.
+ * @param {string} searchText - User search string
+ * @returns {Object|null} SQL expression and its parameters, or null if there are no terms
+ */
+function buildSearchQuery(searchText) {
+  const parts = [];
+  const params = [];
+  const termRegex = /"([^"]+)"|(\S+)/g;
+  let match;
+
+  while ((match = termRegex.exec(searchText)) !== null) {
+    if (match[1] !== undefined) {
+      params.push(match[1]);
+      parts.push(`phraseto_tsquery('english', $${params.length})`);
+      continue;
+    }
+
+    const term = match[2];
+    if (term.endsWith('*')) {
+      // Only word characters may go into a raw tsquery lexeme
+      const prefix = term.slice(0, -1).replace(/[^\w]/g, '');
+      if (prefix) {
+        params.push(`${prefix}:*`);
+        parts.push(`to_tsquery('english', $${params.length})`);
+      }
+    } else {
+      params.push(term);
+      parts.push(`plainto_tsquery('english', $${params.length})`);
+    }
+  }
+
+  if (parts.length === 0) {
+    return null;
+  }
+
+  return { sql: parts.join(' && '), params };
+}
+
+// ts_headline marks matches with control characters, which cannot be confused with resume
+// text; highlightSnippet turns them into <mark> tags once the text is HTML-escaped
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_STOP = '\u0003';
+const HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxWords=35, MinWords=15, `
+  + 'MaxFragments=2, FragmentDelimiter=" … "';
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape a ts_headline snippet as HTML and wrap its matches in <mark>
+ * Resume text is uploaded by users, so it must never reach a page as markup.
+ */
+function highlightSnippet(snippet) {
+  return (snippet || '')
+    .replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+    .split(HIGHLIGHT_START).join('<mark>')
+    .split(HIGHLIGHT_STOP).join('</mark>');
+}
+
+/**
+ * Full-text search over resume content
+ * @param {string} searchText - Search string (phrases in quotes, prefix terms with *)
+ * @param {Object} options - Options
+ * @param {number} options.limit - Maximum results (default: 20)
+ * @param {number} options.offset - Results to skip (default: 0)
+ * @returns {Promise<Object>} Ranked results with HTML snippets: the text is escaped and
+ *                            matches are wrapped in <mark>
+ */
+async function searchResumeContent(searchText, options = {}) {
+  const { limit = 20, offset = 0 } = options;
+
+  try {
+    const tsQuery = buildSearchQuery(searchText);
+    if (!tsQuery) {
+      return { success: true, data: [], total: 0 };
+    }
+
+    const limitParam = tsQuery.params.length + 1;
+    const offsetParam = tsQuery.params.length + 2;
+    const optionsParam = tsQuery.params.length + 3;
+
+    // Counted apart from the page, so an offset past the last match still reports the total
+    const count = await query(
+      `SELECT COUNT(*) AS total
+       FROM "parsedResume" r, (SELECT ${tsQuery.sql} AS query) q
+       WHERE r.search_vector @@ q.query`,
+      tsQuery.params
+    );
+
+    // Rank on the index first, then build snippets only for the returned page
+    const result = await query(
+      `WITH q AS (SELECT ${tsQuery.sql} AS query),
+       matches AS (
+         SELECT r.id, ts_rank_cd(r.search_vector, q.query) AS rank
+         FROM "parsedResume" r, q
+         WHERE r.search_vector @@ q.query
+         ORDER BY rank DESC, r.id DESC
+         LIMIT $${limitParam} OFFSET $${offsetParam}
+       )
+       SELECT r.id, r.filename, r.content_hash, r.page_count, r.parser_used, r.created_at,
+              m.rank,
+              ts_headline('english', translate(r.raw_text, chr(2) || chr(3), ''), q.query, $${optionsParam})
+                AS snippet
+       FROM matches m
+       JOIN "parsedResume" r ON r.id = m.id, q
+       ORDER BY m.rank DESC, r.id DESC`,
+      [...tsQuery.params, limit, offset, HEADLINE_OPTIONS]
+    );
+
+    return {
+      success: true,
+      data: result.rows.map(row => ({ ...row, snippet: highlightSnippet(row.snippet) })),
+      total: parseInt(count.rows[0].total),
+    };
+  } catch (error) {
+    console.error('Error searching resume content:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Find resumes by extracted skills
+ * Skill names are matched case-insensitively, and aliases from the skill taxonomy ("k8s")
+ * match their canonical skill.
+ * @param {Object} filters - Filters
+ * @param {Array<string>} filters.all - Resume must have every one of these skills
+ * @param {Array<string>} filters.any - Resume must have at least one of these skills
+ * @param {Array<string>} filters.none - Resume must have none of these skills
+ *                                       (plus any list filter, see buildResumeFilters)
+ * @param {number} filters.limit - Maximum results (default: 50)
+ * @param {number} filters.offset - Results to skip (default: 0)
+ * @returns {Promise<Object>} Matching resumes with their skills
+ */
+async function findResumesBySkills(filters = {}) {
+  const { all = [], any = [], none = [], limit = 50, offset = 0 } = filters;
+  const params = [];
+  const conditions = buildResumeFilters(filters, params);
+  const toKeys = (skills) => [...new Set(skills.map(skill => canonicalizeSkill(skill).toLowerCase()))];
+
+  if (all.length > 0) {
+    const keys = toKeys(all);
+    params.push(keys);
+    conditions.push(
+      `r.id IN (SELECT resume_id FROM resume_skills WHERE skill_key = ANY($${params.length})
+                GROUP BY resume_id HAVING COUNT(*) = ${keys.length})`
+    );
+  }
+
+  if (any.length > 0) {
+    params.push(toKeys(any));
+    conditions.push(
+      `EXISTS (SELECT 1 FROM resume_skills s WHERE s.resume_id = r.id AND s.skill_key = ANY($${params.length}))`
+    );
+  }
+
+  if (none.length > 0) {
+    params.push(toKeys(none));
+    conditions.push(
+      `NOT EXISTS (SELECT 1 FROM resume_skills s WHERE s.resume_id = r.id AND s.skill_key = ANY($${params.length}))`
+    );
+  }
+
+  try {
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    params.push(limit, offset);
+
+    const result = await query(
+      `SELECT r.id, r.filename, r.content_hash, r.page_count, r.file_size,
+              r.parser_used, r.experience_months, r.created_at,
+              COALESCE(
+                (SELECT ARRAY_AGG(s.skill ORDER BY s.skill) FROM resume_skills s WHERE s.resume_id = r.id),
+                '{}'
+              ) AS skills,
+              COUNT(*) OVER () AS total
+       FROM "parsedResume" r
+       ${whereClause}
+       ORDER BY r.created_at DESC, r.id DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+
+    const total = result.rows.length > 0 ? parseInt(result.rows[0].total) : 0;
+
+    return {
+      success: true,
+      data: result.rows.map(({ total: rowTotal, ...row }) => row),
+      total,
+    };
+  } catch (error) {
+    console.error('Error filtering resumes by skills:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Group stored resumes into clusters of near-duplicates
+ * Pairs sharing an LSH band bucket are scored; pairs at or above the threshold are
+ * joined into clusters.
+ * @param {number} threshold - Minimum similarity between 0 and 1 (default: NEAR_DUPLICATE_THRESHOLD)
+ * @returns {Promise<Object>} Clusters with their members and pairwise scores
+ */
+async function findNearDuplicateClusters(threshold = NEAR_DUPLICATE_THRESHOLD) {
+  try {
+    const pairResult = await query(
+      `SELECT DISTINCT a.resume_id AS a_id, b.resume_id AS b_id
+       FROM resume_minhash_bands a
+       JOIN resume_minhash_bands b
+         ON a.band = b.band AND a.band_hash = b.band_hash AND a.resume_id < b.resume_id`
+    );
+
+    const ids = [...new Set(pairResult.rows.flatMap(row => [row.a_id, row.b_id]))];
+    const resumes = new Map();
+    if (ids.length > 0) {
+      const resumeResult = await query(
+        'SELECT id, filename, created_at, minhash FROM "parsedResume" WHERE id = ANY($1)',
+        [ids]
+      );
+      resumeResult.rows.forEach(row => resumes.set(row.id, row));
+    }
+
+    // Union-find over pairs above the threshold
+    const parent = new Map(ids.map(id => [id, id]));
+    const find = (id) => (parent.get(id) === id ? id : parent.set(id, find(parent.get(id))).get(id));
+    const pairs = [];
+
+    pairResult.rows.forEach(({ a_id: a, b_id: b }) => {
+      const similarity = estimateSimilarity(resumes.get(a).minhash, resumes.get(b).minhash);
+      if (similarity >= threshold) {
+        pairs.push({ a, b, similarity });
+        parent.set(find(a), find(b));
+      }
+    });
+
+    const clusters = new Map();
+    pairs.forEach(pair => {
+      const root = find(pair.a);
+      if (!clusters.has(root)) {
+        clusters.set(root, { members: new Set(), pairs: [] });
+      }
+      const cluster = clusters.get(root);
+      cluster.members.add(pair.a).add(pair.b);
+      cluster.pairs.push(pair);
+    });
+
+    const data = [...clusters.values()]
+      .map(cluster => ({
+        size: cluster.members.size,
+        resumes: [...cluster.members]
+          .sort((a, b) => a - b)
+          .map(id => ({
+            id,
+            filename: resumes.get(id).filename,
+            created_at: resumes.get(id).created_at,
+          })),
+        pairs: cluster.pairs.sort((a, b) => b.similarity - a.similarity),
+      }))
+      .sort((a, b) => b.size - a.size);
+
+    return {
+      success: true,
+      data,
+      threshold,
+    };
+  } catch (error) {
+    console.error('Error finding near-duplicate clusters:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Open the original uploaded file of a resume
+ * @param {number} resumeId - Resume ID
+ * @returns {Promise<Object>} { filename, stream, size }, or notFound when the resume or file is missing
+ */
+async function getResumeFile(resumeId) {
+  try {
+    const result = await query(
+      'SELECT filename, file_path FROM "parsedResume" WHERE id = $1',
+      [resumeId]
+    );
+
+    if (result.rows.length === 0) {
+      return { success: false, notFound: true, error: 'Resume not found' };
+    }
+
+    const { filename, file_path: filePath } = result.rows[0];
+    const storage = filePath ? getStorageFor(filePath) : null;
+    if (!storage || !(await storage.exists(filePath))) {
+      return { success: false, notFound: true, error: 'Original file is no longer available for this resume' };
+    }
+
+    const { stream, size } = await storage.open(filePath);
+    return {
+      success: true,
+      data: { filename, stream, size },
+    };
+  } catch (error) {
+    console.error('Error opening resume file:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
 /**
  * Delete resume
  * @param {number} resumeId - Resume ID to delete
@@ -285,8 +1624,20 @@ async function deleteResume(resumeId) {
       return { success: false, error: 'Resume not found' };
     }
 
+    // The row is gone either way; a file that cannot be removed is only logged
+    const filePath = result.rows[0].file_path;
+    let fileDeleted = false;
+    if (filePath) {
+      try {
+        fileDeleted = await getStorageFor(filePath).remove(filePath);
+      } catch (error) {
+        console.error(`Error deleting stored file ${filePath}:`, error);
+      }
+    }
+
     return {
       success: true,
+      fileDeleted,
       message: 'Resume deleted successfully',
     };
   } catch (error) {
@@ -299,10 +1650,26 @@ async function deleteResume(resumeId) {
 }
 
 module.exports = {
+  PDF_PARSERS,
+  PARSE_MODES,
+  SORT_COLUMNS,
+  HASH_TYPES,
+  detectFileType,
+  parseListFilters,
+  buildResumeFilters,
+  parseResumeFile,
   processAndStoreResume,
+  processResumeBatch,
+  reparseResume,
+  getResumeVersions,
+  promoteResumeVersion,
   getResumeById,
+  getResumeFile,
   getAllResumes,
   searchResumeByHash,
   searchResumeByFilename,
+  searchResumeContent,
+  findResumesBySkills,
+  findNearDuplicateClusters,
   deleteResume,
 };
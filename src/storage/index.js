@@ -0,0 +1,64 @@
+require('dotenv').config();
+const path = require('path');
+const { createLocalStorage } = require('./localStorage');
+const { S3_SCHEME, createS3Storage } = require('./s3Storage');
+
+// Backend new uploads are stored with: local or s3
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local';
+
+const STORAGE_DRIVERS = ['local', 's3'];
+
+// Where multer writes uploads before they are parsed
+const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+
+// Where the local driver keeps original files (by default the uploads directory itself)
+const LOCAL_STORAGE_DIR = path.resolve(process.env.STORAGE_LOCAL_DIR || UPLOADS_DIR);
+
+// Backends are created on first use, so the S3 client is only loaded when needed
+const backends = {};
+
+function getBackend(name) {
+  if (!backends[name]) {
+    if (name === 'local') {
+      backends[name] = createLocalStorage(LOCAL_STORAGE_DIR);
+    } else if (name === 's3') {
+      backends[name] = createS3Storage({
+        bucket: process.env.S3_BUCKET,
+        prefix: process.env.S3_PREFIX,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      });
+    } else {
+      throw new Error(`Unknown storage driver '${name}' (expected one of: ${STORAGE_DRIVERS.join(', ')})`);
+    }
+  }
+  return backends[name];
+}
+
+/**
+ * Get the backend new uploads are saved to (STORAGE_DRIVER)
+ * @returns {Object} Storage backend
+ */
+function getStorage() {
+  return getBackend(STORAGE_DRIVER);
+}
+
+/**
+ * Get the backend holding a stored file
+ * Chosen from the location itself, so files saved before a driver change stay readable.
+ * @param {string} location - Value of file_path
+ * @returns {Object} Storage backend
+ */
+function getStorageFor(location) {
+  return getBackend(location.startsWith(S3_SCHEME) ? 's3' : 'local');
+}
+
+module.exports = {
+  UPLOADS_DIR,
+  LOCAL_STORAGE_DIR,
+  getStorage,
+  getStorageFor,
+};
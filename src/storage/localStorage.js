@@ -0,0 +1,87 @@
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+
+/**
+ * Create a storage backend that keeps original files on the local disk
+ * A stored file's location is its absolute path.
+ * @param {string} rootDir - Directory files are stored in
+ * @returns {Object} Storage backend
+ */
+function createLocalStorage(rootDir) {
+  const root = path.resolve(rootDir);
+
+  return {
+    name: 'local',
+
+    /**
+     * Take ownership of an uploaded file
+     * Files already inside the storage directory (multer writes there by default) stay put;
+     * anything else is moved in under the given key.
+     * @param {string} sourcePath - Path of the uploaded file
+     * @param {string} key - Name to store the file under
+     * @returns {Promise<string>} Location to record in file_path
+     */
+    async save(sourcePath, key) {
+      const resolved = path.resolve(sourcePath);
+      if (resolved.startsWith(root + path.sep)) {
+        return resolved;
+      }
+
+      const target = path.join(root, key);
+      await fsp.mkdir(path.dirname(target), { recursive: true });
+      try {
+        await fsp.rename(resolved, target);
+      } catch (error) {
+        if (error.code !== 'EXDEV') {
+          throw error;
+        }
+        // rename cannot cross filesystems
+        await fsp.copyFile(resolved, target);
+        await fsp.unlink(resolved);
+      }
+      return target;
+    },
+
+    async exists(location) {
+      return fs.existsSync(location);
+    },
+
+    /**
+     * Open a stored file for reading
+     * @returns {Promise<Object>} { stream, size }
+     */
+    async open(location) {
+      const stat = await fsp.stat(location);
+      return { stream: fs.createReadStream(location), size: stat.size };
+    },
+
+    /**
+     * Get a local path the parsers can read
+     * @returns {Promise<Object>} { path, cleanup }
+     */
+    async getLocalPath(location) {
+      return { path: location, cleanup: async () => {} };
+    },
+
+    /**
+     * Delete a stored file
+     * @returns {Promise<boolean>} false if the file was already gone
+     */
+    async remove(location) {
+      try {
+        await fsp.unlink(location);
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return false;
+        }
+        throw error;
+      }
+    },
+  };
+}
+
+module.exports = {
+  createLocalStorage,
+};
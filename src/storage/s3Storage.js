@@ -0,0 +1,135 @@
+const fs = require('fs');
+const fsp = fs.promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+const S3_SCHEME = 's3://';
+
+/**
+ * Split an s3://bucket/key location into its bucket and key
+ */
+function parseLocation(location) {
+  const rest = location.slice(S3_SCHEME.length);
+  const slash = rest.indexOf('/');
+  return { Bucket: rest.slice(0, slash), Key: rest.slice(slash + 1) };
+}
+
+/**
+ * Create a storage backend for Amazon S3 or an S3-compatible service such as MinIO
+ * A stored file's location is s3://bucket/key.
+ * @param {Object} config - Connection settings
+ * @param {string} config.bucket - Bucket name
+ * @param {string} config.prefix - Key prefix (e.g. 'resumes/')
+ * @param {string} config.region - Region (default: us-east-1)
+ * @param {string} config.endpoint - Custom endpoint for S3-compatible services
+ * @param {boolean} config.forcePathStyle - Use path-style URLs (needed by MinIO)
+ * @param {string} config.accessKeyId - Access key (default: AWS credential chain)
+ * @param {string} config.secretAccessKey - Secret key
+ * @returns {Object} Storage backend
+ */
+function createS3Storage(config) {
+  const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    DeleteObjectCommand,
+  } = require('@aws-sdk/client-s3');
+
+  if (!config.bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region: config.region || 'us-east-1',
+    endpoint: config.endpoint || undefined,
+    forcePathStyle: Boolean(config.forcePathStyle),
+    credentials: config.accessKeyId
+      ? { accessKeyId: config.accessKeyId, secretAccessKey: config.secretAccessKey }
+      : undefined,
+  });
+
+  return {
+    name: 's3',
+
+    /**
+     * Upload a file and remove the local copy
+     * @param {string} sourcePath - Path of the uploaded file
+     * @param {string} key - Name to store the file under (the prefix is added)
+     * @returns {Promise<string>} Location to record in file_path
+     */
+    async save(sourcePath, key) {
+      const objectKey = `${config.prefix || ''}${key}`;
+      await client.send(new PutObjectCommand({
+        Bucket: config.bucket,
+        Key: objectKey,
+        Body: await fsp.readFile(sourcePath),
+      }));
+      await fsp.unlink(sourcePath).catch(() => {});
+      return `${S3_SCHEME}${config.bucket}/${objectKey}`;
+    },
+
+    /**
+     * Check whether a stored file is still there
+     * Without s3:ListBucket permission S3 answers HeadObject for a missing key with 403
+     * instead of 404, so both count as missing.
+     * @returns {Promise<boolean>} Whether the object exists
+     */
+    async exists(location) {
+      try {
+        await client.send(new HeadObjectCommand(parseLocation(location)));
+        return true;
+      } catch (error) {
+        const status = error.$metadata && error.$metadata.httpStatusCode;
+        if (status === 404 || status === 403 || error.name === 'NotFound') {
+          return false;
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * Open a stored file for reading
+     * @returns {Promise<Object>} { stream, size }
+     */
+    async open(location) {
+      const object = await client.send(new GetObjectCommand(parseLocation(location)));
+      return { stream: object.Body, size: object.ContentLength };
+    },
+
+    /**
+     * Download a stored file to a temporary path the parsers can read
+     * @returns {Promise<Object>} { path, cleanup } - call cleanup when done
+     */
+    async getLocalPath(location) {
+      const { Key } = parseLocation(location);
+      const tempPath = path.join(
+        os.tmpdir(),
+        `resume-${crypto.randomBytes(8).toString('hex')}${path.extname(Key)}`
+      );
+      const { stream } = await this.open(location);
+      await pipeline(stream, fs.createWriteStream(tempPath));
+      return {
+        path: tempPath,
+        cleanup: () => fsp.unlink(tempPath).catch(() => {}),
+      };
+    },
+
+    /**
+     * Delete a stored file
+     * S3 deletes succeed whether or not the object exists
+     * @returns {Promise<boolean>} true
+     */
+    async remove(location) {
+      await client.send(new DeleteObjectCommand(parseLocation(location)));
+      return true;
+    },
+  };
+}
+
+module.exports = {
+  S3_SCHEME,
+  createS3Storage,
+};
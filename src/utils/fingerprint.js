@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+
+const SHINGLE_SIZE = 3;
+const NUM_HASHES = 128;
+// LSH banding: signatures that share any band are compared as candidates
+const BAND_COUNT = 32;
+const ROWS_PER_BAND = NUM_HASHES / BAND_COUNT;
+
+/**
+ * Split text into the set of overlapping word shingles
+ * @param {string} text - Text to split
+ * @returns {Set<string>} Unique shingles (single words for very short texts)
+ */
+function getShingles(text) {
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  if (words.length < SHINGLE_SIZE) {
+    return new Set(words);
+  }
+
+  const shingles = new Set();
+  for (let i = 0; i <= words.length - SHINGLE_SIZE; i++) {
+    shingles.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+  }
+  return shingles;
+}
+
+/**
+ * Compute a MinHash signature of text
+ * The share of positions where two signatures agree estimates the Jaccard similarity
+ * of the two texts' shingle sets.
+ * @param {string} text - Text to fingerprint
+ * @returns {Array<number>|null} NUM_HASHES signed 32-bit values (fits a Postgres INTEGER[]),
+ *                               or null for text without words
+ */
+function computeMinHash(text) {
+  const shingles = getShingles(text);
+  if (shingles.size === 0) {
+    return null;
+  }
+
+  const signature = new Array(NUM_HASHES).fill(0xffffffff);
+  shingles.forEach(shingle => {
+    const digest = crypto.createHash('md5').update(shingle).digest();
+    const h1 = digest.readUInt32BE(0);
+    const h2 = digest.readUInt32BE(4) | 1;
+    // Derive every hash function from two base hashes (double hashing)
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const value = (h1 + Math.imul(i, h2)) >>> 0;
+      if (value < signature[i]) {
+        signature[i] = value;
+      }
+    }
+  });
+
+  return signature.map(value => value | 0);
+}
+
+/**
+ * Estimate the similarity of two MinHash signatures
+ * @param {Array<number>} a - First signature
+ * @param {Array<number>} b - Second signature
+ * @returns {number} Estimated Jaccard similarity between 0 and 1
+ */
+function estimateSimilarity(a, b) {
+  let matches = 0;
+  for (let i = 0; i < NUM_HASHES; i++) {
+    if (a[i] === b[i]) {
+      matches++;
+    }
+  }
+  return matches / NUM_HASHES;
+}
+
+/**
+ * Hash each band of a signature for LSH bucket lookups
+ * @param {Array<number>} signature - MinHash signature
+ * @returns {Array<string>} BAND_COUNT band hashes as signed 64-bit strings (Postgres BIGINT)
+ */
+function getBandHashes(signature) {
+  const bands = [];
+  for (let band = 0; band < BAND_COUNT; band++) {
+    const rows = signature.slice(band * ROWS_PER_BAND, (band + 1) * ROWS_PER_BAND);
+    const digest = crypto.createHash('md5').update(rows.join(',')).digest();
+    bands.push(digest.readBigInt64BE(0).toString());
+  }
+  return bands;
+}
+
+module.exports = {
+  NUM_HASHES,
+  BAND_COUNT,
+  computeMinHash,
+  estimateSimilarity,
+  getBandHashes,
+};
@@ -0,0 +1,27 @@
+const { Console } = require('console');
+
+// Where progress messages go: the global console (stdout) unless redirected
+let output = console;
+
+/**
+ * Log a progress message, formatted like console.log
+ * @param {...*} args - Message and values
+ */
+function logInfo(...args) {
+  if (output) {
+    output.log(...args);
+  }
+}
+
+/**
+ * Send progress messages to another stream, e.g. stderr when stdout carries data
+ * @param {Object|null} stream - Writable stream, or null to silence progress messages
+ */
+function setLogStream(stream) {
+  output = stream ? new Console({ stdout: stream, stderr: process.stderr }) : null;
+}
+
+module.exports = {
+  logInfo,
+  setLogStream,
+};
@@ -0,0 +1,80 @@
+// Words too common to say anything about a candidate
+const STOP_WORDS = new Set([
+  'a', 'about', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'for', 'from', 'has',
+  'have', 'in', 'is', 'it', 'its', 'of', 'on', 'or', 'our', 'that', 'the', 'their', 'this',
+  'to', 'we', 'will', 'with', 'you', 'your', 'who', 'work', 'working', 'experience', 'years',
+  'year', 'team', 'strong', 'skills', 'ability', 'including', 'etc', 'plus', 'must', 'should',
+]);
+
+// Longer tokens are URLs or run-together text rather than terms
+const MAX_TERM_LENGTH = 50;
+
+/**
+ * Split text into lowercase terms, keeping tokens such as c++, c# and node.js
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Terms in text order, repeats included
+ */
+function tokenize(text) {
+  const tokens = (text || '').toLowerCase().match(/[a-z0-9][a-z0-9+#.]*/g) || [];
+  return tokens
+    .map(token => token.replace(/\.+$/, ''))
+    .filter(token => token.length > 1 && token.length <= MAX_TERM_LENGTH
+      && !STOP_WORDS.has(token) && !/^\d+$/.test(token));
+}
+
+/**
+ * Count how often each term occurs
+ * @param {Array<string>} tokens - Terms from tokenize
+ * @returns {Map<string, number>} Term counts
+ */
+function termFrequencies(tokens) {
+  const counts = new Map();
+  tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+  return counts;
+}
+
+/**
+ * Scale weights to unit length, so a dot product of two vectors is their cosine similarity
+ * @param {Map<string, number>} weights - Term weights
+ * @returns {Map<string, number>} Normalized weights (empty when all weights are 0)
+ */
+function normalize(weights) {
+  let sumOfSquares = 0;
+  weights.forEach(weight => {
+    sumOfSquares += weight * weight;
+  });
+  const norm = Math.sqrt(sumOfSquares);
+
+  const normalized = new Map();
+  if (norm > 0) {
+    weights.forEach((weight, term) => {
+      if (weight > 0) {
+        normalized.set(term, weight / norm);
+      }
+    });
+  }
+  return normalized;
+}
+
+/**
+ * Weight a stored document's terms: 1 + log(count), normalized to unit length
+ *
+ * Document weights carry no IDF, so they stay valid as other resumes are added and removed;
+ * IDF is applied to the query side when matching.
+ * @param {string} text - Document text
+ * @returns {Map<string, number>} Term weights
+ */
+function documentTermWeights(text) {
+  const weights = new Map();
+  termFrequencies(tokenize(text)).forEach((count, term) => {
+    weights.set(term, 1 + Math.log(count));
+  });
+  return normalize(weights);
+}
+
+module.exports = {
+  tokenize,
+  termFrequencies,
+  normalize,
+  documentTermWeights,
+};